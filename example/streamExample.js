@@ -33,12 +33,10 @@ squareStream.onValue(square => {
 	//If the square is larger than 30 and the stream has not already been paused,
 	//pause the stream and then resume it after 3 second
 	if(square > 30 && !hasBeenPaused) {		
-		//We can't pause the squareStream since it's a normal Bacon stream, but we can 
-		//pause the source stream, which is numberStream.
-		numberStream.pause();
+		//Pausing the squareStream pauses the source stream, which is numberStream.
+		//The stream resumes by itself after 3 seconds.
+		squareStream.pause({ for: 3000 });
 		
 		hasBeenPaused = true;
-		
-		setTimeout(() => numberStream.resume(), 3000);
 	}
 });
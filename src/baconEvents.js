@@ -0,0 +1,103 @@
+const Bacon = require('baconjs');
+
+/**
+ * Functions that examine Bacon events in a way that works with Bacon 1, where the
+ * events have isEnd(), isError(), hasValue() and value() functions, as well as with 
+ * Bacon 2 and 3, where those are properties.
+ */
+
+/**
+ * Indicates whether a value is a Bacon event. This uses the same marker property
+ * that Bacon uses itself, so that events created by another copy of Bacon are 
+ * recognized too.
+ *
+ * @param {*} value - the value to be examined
+ * @returns true if the value is a Bacon event, otherwise false
+ */
+function isEvent(value) {
+	return value !== null && typeof value === 'object' && value._isEvent === true;
+}
+
+/**
+ * Indicates whether a Bacon event is the end of a stream
+ *
+ * @param {Object} event - the Bacon event
+ * @returns true if the event is an End event, otherwise false
+ */
+function isEnd(event) {
+	return readFlag(event, 'isEnd');
+}
+
+/**
+ * Indicates whether a Bacon event is an error
+ *
+ * @param {Object} event - the Bacon event
+ * @returns true if the event is an Error event, otherwise false
+ */
+function isError(event) {
+	return readFlag(event, 'isError');
+}
+
+/**
+ * Indicates whether a Bacon event has a value
+ *
+ * @param {Object} event - the Bacon event
+ * @returns true if the event is a Next or Initial event, otherwise false
+ */
+function hasValue(event) {
+	return readFlag(event, 'hasValue');
+}
+
+/**
+ * Gets the value of a Bacon event that has a value
+ *
+ * @param {Object} event - the Bacon event
+ * @returns {*} the value of the event
+ */
+function getValue(event) {
+	//In Bacon 2 and 3, the value is a property, and it can itself be a function
+	return usesFunctions(event) ? event.value() : event.value;
+}
+
+/**
+ * Creates a Bacon event that has a value
+ *
+ * @param {*} value - the value of the event
+ * @returns {Object} a Next event with the value
+ */
+function createNext(value) {
+	//Bacon 1 treats a function as a function that produces the value unless the 
+	//event is created eagerly, while later versions ignore the second parameter
+	return new Bacon.Next(value, true);
+}
+
+/**
+ * Reads a flag of a Bacon event, which is a function in Bacon 1 and a property in
+ * Bacon 2 and 3
+ *
+ * @param {Object} event - the Bacon event
+ * @param {string} name - the name of the flag
+ * @returns {boolean} the value of the flag
+ */
+function readFlag(event, name) {
+	return usesFunctions(event) ? Boolean(event[name]()) : Boolean(event[name]);
+}
+
+/**
+ * Indicates whether a Bacon event has the functions of Bacon 1 events
+ *
+ * @param {Object} event - the Bacon event
+ * @returns true if the event is a Bacon 1 event, otherwise false
+ */
+function usesFunctions(event) {
+	return typeof event.isEnd === 'function';
+}
+
+module.exports = {
+	isEvent,
+	isEnd,
+	isError,
+	hasValue,
+	getValue,
+	createNext
+};
@@ -0,0 +1,144 @@
+/**
+ * Creates a checkpointer, which keeps track of the position of a pausable stream and
+ * saves that position to a checkpoint store, so that the stream can be rebuilt from 
+ * the last checkpoint after the process has been restarted.
+ *
+ * A checkpoint is an object containing the number of items that have been emitted
+ * (itemCount), the position of the stream (position), and whether the generator had
+ * finished when the checkpoint was saved (completed). Checkpoints are saved one at a
+ * time, in the order in which they were made.
+ *
+ * @param {Object} checkpointOptions - the checkpoint options
+ * @param {Object} checkpointOptions.store - the checkpoint store, which has save(key,
+ *	checkpoint) and load(key) functions that return promises
+ * @param {string} checkpointOptions.key - the key under which the checkpoints are saved
+ * @param {number} [checkpointOptions.every] - the number of emitted items after which a
+ *	checkpoint is saved. This defaults to null, which means that checkpoints are only 
+ *	saved when the stream is paused or ends.
+ * @param {function} [checkpointOptions.position] - a function that is called with the
+ *	last emitted value and the number of emitted items, and which returns the position to
+ *	be saved in the checkpoint. This defaults to the number of emitted items.
+ * @param {Object} [checkpointOptions.initial] - the checkpoint that the stream is being
+ *	rebuilt from, which the item count continues from. This defaults to null.
+ * @param {function} onSaveError - a function that is called with the error when a
+ *	checkpoint that was saved automatically could not be saved
+ * @returns {Object} a checkpointer object
+ */
+function createCheckpointer(checkpointOptions, onSaveError) {
+	if(typeof checkpointOptions !== 'object' || checkpointOptions === null) {
+		throw new Error('the checkpoint options must be an object');
+	}
+	
+	const { store, key, every = null, position = null, initial = null } = checkpointOptions;
+	
+	if(store === null || typeof store !== 'object' || typeof store.save !== 'function' ||
+		typeof store.load !== 'function') {
+		throw new Error('the checkpoint store must have save() and load() functions');
+	}
+	
+	if(typeof key !== 'string') {
+		throw new Error('the checkpoint key must be a string');
+	}
+	
+	if(every !== null && (!Number.isInteger(every) || every < 1)) {
+		throw new Error('the number of items between checkpoints must be a positive integer');
+	}
+	
+	if(position !== null && typeof position !== 'function') {
+		throw new Error('the checkpoint position must be a function');
+	}
+	
+	//The number of items that have been emitted, including the ones that were emitted
+	//before the stream was rebuilt from a checkpoint
+	let itemCount = initial !== null ? initial.itemCount : 0;
+	
+	//The last value that was emitted, and whether a value has been emitted since
+	//the checkpointer was created
+	let lastValue = undefined;
+	let hasEmittedValue = false;
+	
+	//A promise that resolves when the last checkpoint has been saved, which makes sure
+	//that the checkpoints are saved in order
+	let lastSave = Promise.resolve();
+	
+	/**
+	 * Gets the current position of the stream
+	 *
+	 * @returns {*} the current position
+	 */
+	function getPosition() {
+		//If nothing has been emitted since the stream was rebuilt, the position has
+		//not changed
+		if(!hasEmittedValue && initial !== null) {
+			return initial.position;
+		}
+		
+		return position !== null ? position(lastValue, itemCount) : itemCount;
+	}
+	
+	/**
+	 * Saves a checkpoint with the current position of the stream
+	 *
+	 * @param {boolean} completed - whether the generator has finished
+	 * @returns {Object} a promise that resolves when the checkpoint has been saved
+	 */
+	function save(completed) {
+		const checkpoint = { itemCount, position: getPosition(), completed };
+		
+		const saved = lastSave.then(() => store.save(key, checkpoint));
+		
+		lastSave = saved.catch(() => {});
+		
+		return saved;
+	}
+	
+	/**
+	 * Saves a checkpoint and reports any error to the error handler
+	 *
+	 * @param {boolean} completed - whether the generator has finished
+	 */
+	function saveAutomatically(completed) {
+		save(completed).catch(onSaveError);
+	}
+	
+	return {
+		/**
+		 * Records that an item has been emitted, saving a checkpoint if enough items
+		 * have been emitted since the last one
+		 *
+		 * @param {*} value - the item that was emitted
+		 */
+		itemEmitted: value => {
+			itemCount = itemCount + 1;
+			lastValue = value;
+			hasEmittedValue = true;
+			
+			if(every !== null && itemCount % every === 0) {
+				saveAutomatically(false);
+			}
+		},
+		
+		/**
+		 * Saves a checkpoint because the stream has been paused
+		 */
+		paused: () => saveAutomatically(false),
+		
+		/**
+		 * Saves a checkpoint because the stream has ended
+		 *
+		 * @param {boolean} completed - whether the stream ended because the generator
+		 *	finished, rather than because it was torn down
+		 */
+		ended: completed => saveAutomatically(completed),
+		
+		/**
+		 * Saves a checkpoint on request
+		 *
+		 * @param {boolean} completed - whether the generator has finished
+		 * @returns {Object} a promise that resolves when the checkpoint has been saved
+		 */
+		save
+	};
+}
+
+module.exports = createCheckpointer;
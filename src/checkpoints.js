@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const createPausableStream = require('./pausableStream');
+
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+const rename = util.promisify(fs.rename);
+
+/**
+ * Creates a checkpoint store that keeps the checkpoints in memory. This is mainly
+ * useful for testing, since the checkpoints don't survive a restart of the process.
+ *
+ * Checkpoints are copied as JSON when they are saved and loaded, so the store behaves
+ * the same way as a store that actually serializes the checkpoints.
+ *
+ * @returns {Object} a checkpoint store with save(key, checkpoint), load(key) and
+ *	remove(key) functions that return promises
+ */
+function createMemoryCheckpointStore() {
+	const checkpoints = new Map();
+	
+	return {
+		save: (key, checkpoint) => {
+			checkpoints.set(key, JSON.stringify(checkpoint));
+			
+			return Promise.resolve();
+		},
+		load: key => Promise.resolve(checkpoints.has(key) ? 
+			JSON.parse(checkpoints.get(key)) : null),
+		remove: key => {
+			checkpoints.delete(key);
+			
+			return Promise.resolve();
+		}
+	};
+}
+
+/**
+ * Creates a checkpoint store that keeps the checkpoints in a JSON file, where each 
+ * checkpoint is stored as a property of an object with the checkpoint key as the
+ * property name. Several streams can share the same store. 
+ *
+ * The file is written to a temporary file first, which is then renamed, so a crash
+ * while writing the file will not corrupt the checkpoints. Changes to the file are 
+ * made one at a time.
+ *
+ * @param {string} filePath - the path of the JSON file
+ * @returns {Object} a checkpoint store with save(key, checkpoint), load(key) and
+ *	remove(key) functions that return promises
+ */
+function createFileCheckpointStore(filePath) {
+	if(typeof filePath !== 'string') {
+		throw new Error('the file path must be a string');
+	}
+	
+	const temporaryFilePath = path.join(path.dirname(filePath), 
+		`.${path.basename(filePath)}.tmp`);
+	
+	//A promise that resolves when the last change to the file has been made, which
+	//makes sure that the changes are made one at a time
+	let lastChange = Promise.resolve();
+	
+	/**
+	 * Reads all the checkpoints from the file
+	 *
+	 * @returns {Object} a promise that resolves to an object containing the checkpoints
+	 */
+	function readCheckpoints() {
+		return readFile(filePath, 'utf8')
+			.then(contents => JSON.parse(contents), error => {
+				//If there is no file yet, there are no checkpoints
+				if(error.code === 'ENOENT') {
+					return {};
+				}
+				
+				throw error;
+			});
+	}
+	
+	/**
+	 * Changes the checkpoints in the file
+	 *
+	 * @param {function} changeCheckpoints - a function that is called with the object
+	 *	containing the checkpoints and changes that object
+	 * @returns {Object} a promise that resolves when the file has been written
+	 */
+	function changeFile(changeCheckpoints) {
+		const change = lastChange
+			.then(() => readCheckpoints())
+			.then(checkpoints => {
+				changeCheckpoints(checkpoints);
+				
+				return writeFile(temporaryFilePath, JSON.stringify(checkpoints, null, '\t'));
+			})
+			.then(() => rename(temporaryFilePath, filePath));
+		
+		lastChange = change.catch(() => {});
+		
+		return change;
+	}
+	
+	return {
+		save: (key, checkpoint) => changeFile(checkpoints => checkpoints[key] = checkpoint),
+		load: key => lastChange
+			.then(() => readCheckpoints())
+			.then(checkpoints => checkpoints.hasOwnProperty(key) ? checkpoints[key] : null),
+		remove: key => changeFile(checkpoints => delete checkpoints[key])
+	};
+}
+
+/**
+ * Rebuilds a pausable stream from the last checkpoint that was saved for it. The 
+ * checkpoint is loaded from the store and passed to a function that creates a generator
+ * object that starts generating values at the position in the checkpoint. The new 
+ * stream continues to save checkpoints under the same key, continuing the item count 
+ * from the checkpoint.
+ *
+ * If no checkpoint has been saved yet, the generator function is called with null, so
+ * the same code can be used to start a stream for the first time and to rebuild it
+ * after a restart.
+ *
+ * @param {function} createGenerator - a function that is called with the last checkpoint
+ *	(or null) and returns the generator object for the stream. A checkpoint contains the
+ *	number of items that had been emitted (itemCount), the position of the stream 
+ *	(position), and whether the generator had finished (completed).
+ * @param {Object} options - the options that are passed to createPausableStream(), 
+ *	which must include the checkpoint option
+ * @returns {Object} a promise that resolves to the rebuilt pausable stream
+ */
+function resumeFromCheckpoint(createGenerator, options) {
+	if(typeof createGenerator !== 'function') {
+		return Promise.reject(new Error('the generator must be created by a function'));
+	}
+	
+	if(options === null || typeof options !== 'object' || 
+		options.checkpoint === null || typeof options.checkpoint !== 'object') {
+		return Promise.reject(new Error('the options must include the checkpoint option'));
+	}
+	
+	const { store, key } = options.checkpoint;
+	
+	return Promise.resolve()
+		.then(() => store.load(key))
+		.then(checkpoint => createPausableStream(createGenerator(checkpoint), 
+			Object.assign({}, options, { 
+				checkpoint: Object.assign({}, options.checkpoint, { initial: checkpoint })
+			})));
+}
+
+module.exports = {
+	createMemoryCheckpointStore,
+	createFileCheckpointStore,
+	resumeFromCheckpoint
+};
@@ -0,0 +1,220 @@
+const Bacon = require('baconjs');
+const { addPauseControls } = require('./pauseControls');
+const { isEnd, isError, hasValue, getValue } = require('./baconEvents');
+
+/**
+ * Merges several pausable streams into a single stream that emits the values of all
+ * the streams as they are generated. Pausing or resuming the merged stream pauses or
+ * resumes every source stream. The merged stream ends when all the source streams
+ * have ended.
+ *
+ * @param {Array.<Object>} streams - the pausable streams to be merged
+ * @returns a pausable stream that emits the values of all the source streams
+ */
+function mergePausable(streams) {
+	validateStreams(streams);
+	
+	return createCombinedStream(Bacon.mergeAll(streams), streams, {
+		isEnded: () => streams.every(stream => stream.isEnded())
+	});
+}
+
+/**
+ * Concatenates several pausable streams into a single stream that emits all the values
+ * of the first stream, then all the values of the second stream, and so on. Pausing or
+ * resuming the concatenated stream pauses or resumes every source stream, including the
+ * ones that haven't started yet.
+ *
+ * @param {Array.<Object>} streams - the pausable streams to be concatenated
+ * @returns a pausable stream that emits the values of the source streams in order
+ */
+function concatPausable(streams) {
+	validateStreams(streams);
+	
+	const concatenatedStream = streams
+		.slice(1)
+		.reduce((stream, nextStream) => stream.concat(nextStream), streams[0]);
+	
+	return createCombinedStream(concatenatedStream, streams, {
+		isEnded: () => streams.every(stream => stream.isEnded())
+	});
+}
+
+/**
+ * Zips several pausable streams into a single stream that emits arrays containing the
+ * nth value of each source stream. Pausing or resuming the zipped stream pauses or 
+ * resumes every source stream.
+ *
+ * A source stream that gets ahead of the others is paused automatically until the
+ * others have caught up, so values never pile up in a buffer waiting to be zipped. 
+ * At most a value or two per source stream will be waiting at any time.
+ *
+ * The zipped stream ends as soon as one of the source streams has ended and all its
+ * values have been zipped, which tears down the other source streams as well.
+ *
+ * @param {Array.<Object>} streams - the pausable streams to be zipped
+ * @returns a pausable stream that emits arrays of values from the source streams
+ */
+function zipPausable(streams) {
+	validateStreams(streams);
+	
+	//The values of each stream that are waiting to be zipped
+	let buffers = null;
+	
+	let hasEnded = false;
+	
+	const zippedStream = Bacon.fromBinder(sink => {
+		buffers = streams.map(() => []);
+		
+		const endedStreams = streams.map(() => false);
+		
+		const unsubscribers = streams.map((stream, index) => stream.subscribe(event => {
+			if(hasEnded) {
+				return Bacon.noMore;
+			}
+			
+			if(isEnd(event)) {
+				endedStreams[index] = true;
+			}
+			else if(isError(event)) {
+				sink(event);
+			}
+			else if(hasValue(event)) {
+				buffers[index].push(getValue(event));
+				
+				//This stream is now ahead of the others, so stop generating its values
+				//until the others have caught up
+				stream.pause();
+			}
+			
+			emitZippedValues();
+			
+			//End the zipped stream when a stream ended and all its values were zipped
+			if(endedStreams.some((ended, streamIndex) => 
+				ended && buffers[streamIndex].length === 0)) {
+				hasEnded = true;
+				
+				sink(new Bacon.End());
+			}
+		}));
+		
+		/**
+		 * Emits arrays of zipped values for as long as every stream has a value
+		 * waiting, and then resumes the streams that aren't ahead anymore
+		 */
+		function emitZippedValues() {
+			while(buffers.every(buffer => buffer.length > 0)) {
+				sink(buffers.map(buffer => buffer.shift()));
+			}
+			
+			resumeStreams();
+		}
+		
+		return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+	});
+	
+	const combinedStream = createCombinedStream(zippedStream, streams, {
+		isEnded: () => hasEnded,
+		resume: () => resumeStreams()
+	});
+	
+	/**
+	 * Resumes the streams that don't have values waiting to be zipped, unless the
+	 * zipped stream has been paused
+	 */
+	function resumeStreams() {
+		if(combinedStream.isPaused()) {
+			return;
+		}
+		
+		streams
+			.filter((stream, index) => buffers === null || buffers[index].length === 0)
+			.forEach(stream => stream.resume());
+	}
+	
+	return combinedStream;
+}
+
+/**
+ * Adds pause controls to an observable that combines several pausable streams. The
+ * pause() and resume() functions pause and resume all the source streams, the
+ * isPaused() function and pausedProperty reflect whether the combined stream has been
+ * paused, and streams derived from the combined stream get the same controls.
+ *
+ * @param {Object} observable - the observable that combines the pausable streams
+ * @param {Array.<Object>} streams - the pausable streams that are being combined
+ * @param {Object} behavior - functions that define the behavior of the combined stream
+ * @param {function} behavior.isEnded - indicates whether the combined stream has ended
+ * @param {function} [behavior.resume] - resumes the source streams. This defaults to
+ *	resuming every source stream.
+ * @returns {Object} the observable with pause controls added
+ */
+function createCombinedStream(observable, streams, behavior) {
+	//The combined stream starts out paused if every source stream is paused
+	let paused = streams.every(stream => stream.isPaused());
+	
+	const pauseChanges = new Bacon.Bus();
+	
+	const resumeStreams = behavior.resume || 
+		(() => streams.forEach(stream => stream.resume()));
+	
+	/**
+	 * Sets the pause state of the combined stream, and emits the new state if
+	 * it has changed
+	 *
+	 * @param {boolean} pauseValue - the new pause state
+	 */
+	function setPaused(pauseValue) {
+		if(paused !== pauseValue) {
+			paused = pauseValue;
+			
+			pauseChanges.push(paused);
+		}
+	}
+	
+	//Keep the paused property subscribed to, so that it always has the current pause
+	//state, even for subscribers that subscribe after the state has changed
+	const pausedProperty = pauseChanges.toProperty(paused);
+	
+	pausedProperty.onValue(() => {});
+	
+	return addPauseControls(observable, {
+		pause: () => {
+			setPaused(true);
+			
+			streams.forEach(stream => stream.pause());
+		},
+		resume: () => {
+			setPaused(false);
+			
+			resumeStreams();
+		},
+		isPaused: () => paused,
+		isEnded: behavior.isEnded,
+		pausedProperty
+	});
+}
+
+/**
+ * Verifies that the streams to be combined are a non-empty array of pausable streams
+ *
+ * @param {*} streams - the streams to be verified
+ */
+function validateStreams(streams) {
+	if(!Array.isArray(streams) || streams.length === 0) {
+		throw new Error('the streams must be a non-empty array of pausable streams');
+	}
+	
+	streams.forEach(stream => {
+		if(stream === null || typeof stream !== 'object' || 
+			typeof stream.pause !== 'function' || typeof stream.resume !== 'function') {
+			throw new Error('the streams must be a non-empty array of pausable streams');
+		}
+	});
+}
+
+module.exports = {
+	mergePausable,
+	concatPausable,
+	zipPausable
+};
@@ -0,0 +1,36 @@
+const Bacon = require('baconjs');
+const isPromise = require('./isPromise');
+
+/**
+ * Wraps an iterator so that it finishes with Bacon.End instead of its return value,
+ * which would otherwise be emitted
+ *
+ * @param {Object} iterator - the iterator or async iterator to be wrapped
+ * @returns {Object} the wrapped iterator
+ */
+function endWithBaconEnd(iterator) {
+	const finishWithEnd = result => result.done ?
+		{ value: new Bacon.End(), done: true } :
+		result;
+	
+	const wrappedIterator = {
+		next: input => {
+			const result = iterator.next(input);
+			
+			return isPromise(result) ? result.then(finishWithEnd) : finishWithEnd(result);
+		}
+	};
+	
+	//Only pass on the functions that close the iterator if the iterator has them
+	if(typeof iterator.return === 'function') {
+		wrappedIterator.return = value => iterator.return(value);
+	}
+	
+	if(typeof iterator.throw === 'function') {
+		wrappedIterator.throw = error => iterator.throw(error);
+	}
+	
+	return wrappedIterator;
+}
+
+module.exports = endWithBaconEnd;
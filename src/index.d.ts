@@ -0,0 +1,330 @@
+//Type definitions for bacon-pausable-stream. The Bacon types are the ones that are
+//shipped with Bacon 3.
+import { EventStream, Event, Observable, Property } from 'baconjs';
+import { Readable, ReadableOptions } from 'stream';
+
+declare function createPausableStream<T, TInput = undefined>(
+	generator: createPausableStream.Generator<T, TInput>,
+	options: createPausableStream.PausableStreamOptions<T, TInput> & { batchSize: number }
+): createPausableStream.PausableEventStream<T[], TInput>;
+declare function createPausableStream<T, TInput = undefined>(
+	generator: createPausableStream.Generator<T, TInput>,
+	options?: createPausableStream.PausableStreamOptions<T, TInput> | boolean
+): createPausableStream.PausableEventStream<T, TInput>;
+
+declare namespace createPausableStream {
+	//A generator object or async iterable that generates the values of the stream. A 
+	//generator can also yield Bacon events. A promise yielded by a synchronous generator 
+	//is emitted as it is, without waiting for it to resolve.
+	type Generator<T, TInput = undefined> = 
+		Iterator<T | Event<T>, any, TInput> | 
+		AsyncIterator<T | Event<T>, any, TInput> | 
+		AsyncIterable<T | Event<T>>;
+	
+	interface RateLimit {
+		interval: number;
+		burst?: number;
+	}
+	
+	interface Checkpoint {
+		itemCount: number;
+		position: any;
+		completed: boolean;
+	}
+	
+	interface CheckpointStore {
+		save(key: string, checkpoint: Checkpoint): Promise<void>;
+		load(key: string): Promise<Checkpoint | null>;
+		remove?(key: string): Promise<void>;
+	}
+	
+	interface CheckpointOptions<T> {
+		store: CheckpointStore;
+		key: string;
+		every?: number | null;
+		position?: ((value: T, itemCount: number) => any) | null;
+		initial?: Checkpoint | null;
+	}
+	
+	interface StatsOptions {
+		now: () => number;
+	}
+	
+	interface PausableStreamOptions<T, TInput = undefined> {
+		initiallyPaused?: boolean;
+		yieldEvery?: number;
+		scheduler?: ((task: () => Promise<void> | void) => void) | null;
+		errorPolicy?: 'end' | 'continue' | 'pause';
+		pauser?: Observable<boolean> | null;
+		demand?: boolean;
+		highWaterMark?: number | null;
+		lowWaterMark?: number | null;
+		rateLimit?: RateLimit | null;
+		nextInput?: ((lastValue: T) => TInput) | null;
+		awaitInput?: boolean;
+		checkpoint?: CheckpointOptions<T> | null;
+		batchSize?: number | null;
+		batchTime?: number | null;
+		idleTimeout?: number | null;
+		stats?: boolean | StatsOptions;
+		lateSubscribers?: 'none' | 'last' | number;
+		pauseVoting?: 'any' | 'all' | null;
+		prefetch?: number | null;
+	}
+	
+	interface SchedulerOptions {
+		policy?: 'round-robin' | 'priority';
+		concurrency?: number;
+		rateLimit?: RateLimit | null;
+		yieldEvery?: number;
+	}
+	
+	interface SchedulerRegistrationOptions {
+		priority?: number;
+		group?: string | null;
+	}
+	
+	//The function returned by register(), which is passed to a pausable stream as its
+	//scheduler option
+	interface SchedulerRegistration {
+		(task: () => Promise<void> | void): void;
+		onGroupPause(listener: (groupPaused: boolean) => void): () => void;
+	}
+	
+	interface Scheduler {
+		register(registrationOptions?: SchedulerRegistrationOptions): SchedulerRegistration;
+		pauseGroup(group: string): void;
+		resumeGroup(group: string): void;
+		isGroupPaused(group: string): boolean;
+		waitingCount(): number;
+	}
+	
+	interface RecordingEntry {
+		type: 'value' | 'error' | 'end' | 'paused' | 'resumed';
+		time: number;
+		value?: any;
+		error?: { name: string; message: string; stack?: string };
+	}
+	
+	interface Recording {
+		entries(): RecordingEntry[];
+		toNDJSON(): string;
+		stop(): void;
+		readonly finished: Promise<RecordingEntry[]>;
+	}
+	
+	interface Clock {
+		now(): number;
+		setTimeout(callback: () => void, delay: number): any;
+	}
+	
+	interface VirtualClock extends Clock {
+		clearTimeout(timerId: any): void;
+		advance(milliseconds: number): Promise<void>;
+	}
+	
+	interface RecordOptions {
+		clock?: Pick<Clock, 'now'>;
+	}
+	
+	interface ReplayOptions<T> extends PausableStreamOptions<T> {
+		timing?: 'fast' | 'original';
+		clock?: Pick<Clock, 'setTimeout'>;
+		replayPauses?: boolean;
+	}
+	
+	interface PauseOptions {
+		for?: number;
+	}
+	
+	interface LifecycleEvent {
+		type: 'paused' | 'resumed' | 'ignored' | 'pulled' | 'errored' | 'ended';
+		timestamp: number;
+		itemCount: number;
+		action?: 'pause' | 'resume';
+		done?: boolean;
+		error?: any;
+		completed?: boolean;
+	}
+	
+	interface StreamStats {
+		itemsEmitted: number;
+		timePaused: number;
+		currentPausedTime: number;
+		pauseCycles: number;
+		averageNextDuration: number;
+		p95NextDuration: number;
+		itemsPerSecond: number;
+	}
+	
+	interface VoteSubscription {
+		pause(): void;
+		resume(): void;
+		isPausing(): boolean;
+		unsubscribe(): void;
+	}
+	
+	//The functions and properties that control a pausable stream, which are also 
+	//available on streams derived from it using pause-aware operators
+	interface PauseControls<T> {
+		pause(pauseOptions?: PauseOptions): void;
+		//Arguments that are not plain objects are ignored, so that pause() can be
+		//passed to functions like onValue()
+		pause(value: unknown): void;
+		pauseUntil(trigger: PromiseLike<any> | Observable<any>): void;
+		resume(): void;
+		request(count: number): void;
+		acknowledge(count?: number): void;
+		send(value: any): void;
+		stop(): void;
+		abort(error?: any): void;
+		isPaused(): boolean;
+		isEnded(): boolean;
+		//Waiting for input is not a pause, so isPaused() and pausedProperty don't
+		//reflect it
+		isAwaitingInput(): boolean;
+		readonly pausedProperty: Property<boolean>;
+		readonly lifecycle: EventStream<LifecycleEvent>;
+		stats(): StreamStats;
+		statsStream(interval: number): EventStream<StreamStats>;
+		subscribeWithVote(subscriber: (event: Event<T>) => any): VoteSubscription;
+		getPrefetched(): any[];
+		clearPrefetched(): number;
+	}
+	
+	//The functions that spawn an observable for each value of a stream
+	type Spawner<T, U> = ((value: T) => Observable<U> | Event<U> | U) | Observable<U>;
+	
+	//The pause-aware operators of a stream derived from a pausable stream, which return
+	//observables that keep the pause controls. The Bacon operators that return the same 
+	//type of observable they were called on keep the pause controls without these.
+	interface PauseAwareStreamOperators<T> {
+		map<U>(f: (value: T) => U): PauseAwareEventStream<U>;
+		map<U>(f: Property<U> | U): PauseAwareEventStream<U>;
+		filter<S extends T>(f: (value: T) => value is S): PauseAwareEventStream<S>;
+		filter(f: ((value: T) => boolean) | boolean | Property<boolean>): 
+			PauseAwareEventStream<T>;
+		flatMap<U>(f: Spawner<T, U>): PauseAwareEventStream<U>;
+		flatMapConcat<U>(f: Spawner<T, U>): PauseAwareEventStream<U>;
+		flatMapFirst<U>(f: Spawner<T, U>): PauseAwareEventStream<U>;
+		flatMapLatest<U>(f: Spawner<T, U>): PauseAwareEventStream<U>;
+		flatMapWithConcurrencyLimit<U>(limit: number, f: Spawner<T, U>): 
+			PauseAwareEventStream<U>;
+		flatMapError<U>(f: (error: any) => Observable<U> | Event<U> | U): 
+			PauseAwareEventStream<T | U>;
+		not(): PauseAwareEventStream<boolean>;
+		startWith(seed: T): PauseAwareEventStream<T>;
+		scan<U>(seed: U, f: (accumulator: U, value: T) => U): PauseAwareProperty<U>;
+		fold<U>(seed: U, f: (accumulator: U, value: T) => U): PauseAwareProperty<U>;
+		reduce<U>(seed: U, f: (accumulator: U, value: T) => U): PauseAwareProperty<U>;
+		diff<U>(start: T, f: (previous: T, next: T) => U): PauseAwareProperty<U>;
+		bufferWithCount(count: number): PauseAwareEventStream<T[]>;
+		bufferWithTime(delay: number | ((flush: () => void) => any)): 
+			PauseAwareEventStream<T[]>;
+		bufferWithTimeOrCount(delay?: number | ((flush: () => void) => any), 
+			count?: number): PauseAwareEventStream<T[]>;
+		slidingWindow(maxValues: number, minValues?: number): PauseAwareProperty<T[]>;
+		withStateMachine<State, U>(initState: State, 
+			f: (state: State, event: Event<T>) => [State, Event<U>[]]): 
+			PauseAwareEventStream<U>;
+		toProperty(initValue?: T): PauseAwareProperty<T>;
+	}
+	
+	//The pause-aware operators of a property derived from a pausable stream
+	interface PauseAwarePropertyOperators<T> {
+		map<U>(f: (value: T) => U): PauseAwareProperty<U>;
+		map<U>(f: Property<U> | U): PauseAwareProperty<U>;
+		filter<S extends T>(f: (value: T) => value is S): PauseAwareProperty<S>;
+		filter(f: ((value: T) => boolean) | boolean | Property<boolean>): 
+			PauseAwareProperty<T>;
+		flatMap<U>(f: Spawner<T, U>): PauseAwareProperty<U>;
+		flatMapConcat<U>(f: Spawner<T, U>): PauseAwareProperty<U>;
+		flatMapFirst<U>(f: Spawner<T, U>): PauseAwareProperty<U>;
+		flatMapLatest<U>(f: Spawner<T, U>): PauseAwareProperty<U>;
+		flatMapWithConcurrencyLimit<U>(limit: number, f: Spawner<T, U>): 
+			PauseAwareProperty<U>;
+		flatMapError<U>(f: (error: any) => Observable<U> | Event<U> | U): 
+			PauseAwareProperty<T | U>;
+		not(): PauseAwareProperty<boolean>;
+		startWith(seed: T): PauseAwareProperty<T>;
+		scan<U>(seed: U, f: (accumulator: U, value: T) => U): PauseAwareProperty<U>;
+		fold<U>(seed: U, f: (accumulator: U, value: T) => U): PauseAwareProperty<U>;
+		reduce<U>(seed: U, f: (accumulator: U, value: T) => U): PauseAwareProperty<U>;
+		diff<U>(start: T, f: (previous: T, next: T) => U): PauseAwareProperty<U>;
+		slidingWindow(maxValues: number, minValues?: number): PauseAwareProperty<T[]>;
+		withStateMachine<State, U>(initState: State, 
+			f: (state: State, event: Event<T>) => [State, Event<U>[]]): 
+			PauseAwareProperty<U>;
+		toProperty(): PauseAwareProperty<T>;
+		toEventStream(): PauseAwareEventStream<T>;
+	}
+	
+	//The pause-aware operators come first, so that their overloads are picked over the
+	//ones of the Bacon operators with the same names
+	type PauseAwareEventStream<T> = PauseAwareStreamOperators<T> & EventStream<T> & 
+		PauseControls<T>;
+	type PauseAwareProperty<T> = PauseAwarePropertyOperators<T> & Property<T> & 
+		PauseControls<T>;
+	
+	//The functions that only the pausable stream itself has
+	interface PausableStreamFunctions<T, TInput> {
+		send(value: TInput): void;
+		consume(handler: (value: T) => any): Promise<void>;
+		saveCheckpoint(): Promise<void>;
+	}
+	
+	type PausableEventStream<T, TInput = undefined> = PauseAwareEventStream<T> & 
+		PausableStreamFunctions<T, TInput>;
+	
+	//A stream that combines several pausable streams
+	interface CombinedPausableStream<T> extends EventStream<T> {
+		pause(): void;
+		resume(): void;
+		isPaused(): boolean;
+		isEnded(): boolean;
+		readonly pausedProperty: Property<boolean>;
+	}
+	
+	function toNodeReadable<T>(pausableStream: PausableEventStream<T, any>, 
+		readableOptions?: ReadableOptions): Readable;
+	function fromNodeReadable(readable: Readable, 
+		options?: PausableStreamOptions<any> | boolean): PausableEventStream<any>;
+	function mergePausable<T>(streams: PausableEventStream<T, any>[]): 
+		CombinedPausableStream<T>;
+	function concatPausable<T>(streams: PausableEventStream<T, any>[]): 
+		CombinedPausableStream<T>;
+	function zipPausable<T>(streams: PausableEventStream<T, any>[]): 
+		CombinedPausableStream<T[]>;
+	function createMemoryCheckpointStore(): Required<CheckpointStore>;
+	function createFileCheckpointStore(filePath: string): Required<CheckpointStore>;
+	function resumeFromCheckpoint<T, TInput = undefined>(
+		createGenerator: (checkpoint: Checkpoint | null) => Generator<T, TInput>,
+		options: PausableStreamOptions<T, TInput> & { checkpoint: CheckpointOptions<T> }
+	): Promise<PausableEventStream<T, TInput>>;
+	function createScheduler(schedulerOptions?: SchedulerOptions): Scheduler;
+	function fromIterable<T>(iterable: Iterable<T> | AsyncIterable<T>, 
+		options?: PausableStreamOptions<T> | boolean): PausableEventStream<T>;
+	function range(start: number, end: number, step?: number, 
+		options?: PausableStreamOptions<number> | boolean): PausableEventStream<number>;
+	function repeat<T>(value: T, count?: number, 
+		options?: PausableStreamOptions<T> | boolean): PausableEventStream<T>;
+	//A pull function returns the value or a promise of the value
+	type PullFunction<T, TInput> = (input: TInput | undefined) => 
+		T | Event<T> | Promise<T | Event<T>>;
+	//A callback pull function provides the value by calling a Node.js-style callback
+	type CallbackPullFunction<T, TInput> = (input: TInput | undefined, 
+		callback: (error: any, value?: T | Event<T>) => void) => unknown;
+	
+	function fromPullFunction<T, TInput = undefined>(pull: PullFunction<T, TInput>,
+		options?: PausableStreamOptions<T, TInput> | boolean): PausableEventStream<T, TInput>;
+	function fromCallbackPullFunction<T, TInput = undefined>(
+		pull: CallbackPullFunction<T, TInput>,
+		options?: PausableStreamOptions<T, TInput> | boolean): PausableEventStream<T, TInput>;
+	function recordStream(pausableStream: PausableEventStream<any, any>, 
+		recordOptions?: RecordOptions): Recording;
+	function replayRecording<T = any>(recording: RecordingEntry[] | string, 
+		replayOptions?: ReplayOptions<T>): PausableEventStream<T>;
+	function createVirtualClock(startTime?: number): VirtualClock;
+}
+
+export = createPausableStream;
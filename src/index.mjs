@@ -0,0 +1,23 @@
+//The ES module entry point, which exports the same functions as the CommonJS entry 
+//point, both as properties of the default export and as named exports
+import createPausableStream from './index.js';
+
+export const toNodeReadable = createPausableStream.toNodeReadable;
+export const fromNodeReadable = createPausableStream.fromNodeReadable;
+export const mergePausable = createPausableStream.mergePausable;
+export const concatPausable = createPausableStream.concatPausable;
+export const zipPausable = createPausableStream.zipPausable;
+export const createMemoryCheckpointStore = createPausableStream.createMemoryCheckpointStore;
+export const createFileCheckpointStore = createPausableStream.createFileCheckpointStore;
+export const resumeFromCheckpoint = createPausableStream.resumeFromCheckpoint;
+export const createScheduler = createPausableStream.createScheduler;
+export const fromIterable = createPausableStream.fromIterable;
+export const range = createPausableStream.range;
+export const repeat = createPausableStream.repeat;
+export const fromPullFunction = createPausableStream.fromPullFunction;
+export const fromCallbackPullFunction = createPausableStream.fromCallbackPullFunction;
+export const recordStream = createPausableStream.recordStream;
+export const replayRecording = createPausableStream.replayRecording;
+export const createVirtualClock = createPausableStream.createVirtualClock;
+
+export default createPausableStream;
@@ -0,0 +1,11 @@
+/**
+ * Indicates whether a value is a promise or some other thenable object
+ *
+ * @param {*} value - the value to be examined
+ * @returns true if the value is thenable, otherwise false
+ */
+function isPromise(value) {
+	return value !== null && typeof value === 'object' && typeof value.then === 'function';
+}
+
+module.exports = isPromise;
@@ -0,0 +1,166 @@
+const { Readable } = require('stream');
+const { fromIterable } = require('./sources');
+const { isEnd, isError, hasValue, getValue } = require('./baconEvents');
+
+/**
+ * Creates a Node.js Readable stream that emits the values of a pausable stream. The 
+ * Readable stream's backpressure controls the pausable stream: the pausable stream is
+ * paused whenever the Readable stream's buffer is full and resumed whenever the Readable
+ * stream is asked for more data. This allows a pausable stream to be piped into a 
+ * Writable stream, such as a file, a socket or a gzip stream, without generating more 
+ * values than the Writable stream can handle.
+ *
+ * The pausable stream is paused until the Readable stream is read from for the first
+ * time. An error emitted by the pausable stream destroys the Readable stream with that
+ * error, and so does a null value, since a Readable stream takes null to mean the end
+ * of the data. The undefined value that a generator function without a return
+ * statement finishes with is not pushed. Destroying the Readable stream unsubscribes 
+ * from the pausable stream, which closes its generator.
+ *
+ * @param {Object} pausableStream - a stream that was created by createPausableStream()
+ * @param {Object} [readableOptions] - options that are passed to the Readable stream
+ *	constructor. The Readable stream is in object mode unless these options say otherwise.
+ * @returns {Object} a Node.js Readable stream that emits the values of the pausable stream
+ */
+function toNodeReadable(pausableStream, readableOptions = {}) {
+	if(!isPausableStream(pausableStream)) {
+		throw new Error('the stream is not a pausable stream');
+	}
+	
+	//The function that unsubscribes from the pausable stream, which is only available
+	//once the Readable stream has been read from
+	let unsubscribe = null;
+	
+	const readable = new Readable(Object.assign({ objectMode: true }, readableOptions, {
+		read: () => {
+			//Subscribe to the pausable stream the first time the Readable stream is read
+			if(unsubscribe === null) {
+				unsubscribe = pausableStream.subscribe(handleEvent);
+			}
+			
+			//The Readable stream wants more data
+			pausableStream.resume();
+		},
+		destroy: (error, callback) => {
+			if(unsubscribe !== null) {
+				unsubscribe();
+			}
+			
+			callback(error);
+		}
+	}));
+	
+	//Don't generate any values until the Readable stream asks for them
+	pausableStream.pause();
+	
+	//An undefined value is held back until it is clear that it is not the return value
+	//of a generator function, which is emitted right before the end of the stream
+	let heldUndefined = false;
+	
+	/**
+	 * Passes an event from the pausable stream on to the Readable stream
+	 *
+	 * @param {Object} event - the Bacon event emitted by the pausable stream
+	 */
+	function handleEvent(event) {
+		if(isEnd(event)) {
+			heldUndefined = false;
+			
+			readable.push(null);
+			
+			return;
+		}
+		
+		pushHeldUndefined();
+		
+		if(isError(event)) {
+			readable.destroy(event.error);
+		}
+		else if(hasValue(event)) {
+			const value = getValue(event);
+			
+			//Pushing null would end the Readable stream without an error, losing the 
+			//values that follow it
+			if(value === null) {
+				readable.destroy(new Error('the pausable stream emitted null, which can\'t ' +
+					'be pushed to a Readable stream'));
+			}
+			else if(value === undefined) {
+				heldUndefined = true;
+				
+				Promise.resolve().then(pushHeldUndefined);
+			}
+			else {
+				pushValue(value);
+			}
+		}
+	}
+	
+	/**
+	 * Pushes an undefined value that has been held back to the Readable stream, now that
+	 * the stream didn't end right after it
+	 */
+	function pushHeldUndefined() {
+		if(heldUndefined) {
+			heldUndefined = false;
+			
+			pushValue(undefined);
+		}
+	}
+	
+	/**
+	 * Pushes a value to the Readable stream
+	 *
+	 * @param {*} value - the value to be pushed
+	 */
+	function pushValue(value) {
+		//If the Readable stream's buffer is full, stop generating values until the
+		//Readable stream asks for more data
+		if(!readable.push(value)) {
+			pausableStream.pause();
+		}
+	}
+	
+	return readable;
+}
+
+/**
+ * Creates a pausable stream that emits the data from a Node.js Readable stream. Data
+ * is only read from the Readable stream while the pausable stream is not paused, so 
+ * the Readable stream's own backpressure stops it from reading more data than fits 
+ * into its buffer while the pausable stream is paused.
+ *
+ * When the pausable stream is torn down because all its subscribers unsubscribed, the
+ * Readable stream is destroyed. An error emitted by the Readable stream is emitted as a
+ * Bacon.Error event, after which the stream reacts according to the error policy.
+ *
+ * @param {Object} readable - the Node.js Readable stream to read the data from
+ * @param {Object|boolean} [options] - the options that are passed to 
+ *	createPausableStream()
+ * @returns a pausable stream that emits the data read from the Readable stream
+ */
+function fromNodeReadable(readable, options = {}) {
+	if(readable === null || typeof readable !== 'object' || 
+		typeof readable[Symbol.asyncIterator] !== 'function') {
+		throw new Error('the readable is not a Node.js Readable stream');
+	}
+	
+	return fromIterable(readable, options);
+}
+
+/**
+ * Indicates whether a value is a pausable stream
+ *
+ * @param {*} value - the value to be examined
+ * @returns true if the value is a pausable stream, otherwise false
+ */
+function isPausableStream(value) {
+	return value !== null && typeof value === 'object' && 
+		typeof value.subscribe === 'function' && typeof value.pause === 'function' &&
+		typeof value.resume === 'function';
+}
+
+module.exports = {
+	toNodeReadable,
+	fromNodeReadable
+};
@@ -0,0 +1,1749 @@
+const Bacon = require('baconjs');
+const createRateLimiter = require('./rateLimiter');
+const { addPauseControls } = require('./pauseControls');
+const createCheckpointer = require('./checkpointer');
+const createStatsCollector = require('./statsCollector');
+const createPauseVote = require('./pauseVoting');
+const { yieldToEventLoop } = require('./scheduler');
+const baconEvents = require('./baconEvents');
+const isPromise = require('./isPromise');
+const endWithBaconEnd = require('./endWithBaconEnd');
+
+//The default options for creating a pausable stream
+const defaultOptions = {
+	initiallyPaused: false,
+	yieldEvery: 1000,
+	scheduler: null,
+	errorPolicy: 'end',
+	pauser: null,
+	demand: false,
+	highWaterMark: null,
+	lowWaterMark: null,
+	rateLimit: null,
+	nextInput: null,
+	awaitInput: false,
+	checkpoint: null,
+	batchSize: null,
+	batchTime: null,
+	idleTimeout: null,
+	stats: false,
+	lateSubscribers: 'none',
+	pauseVoting: null,
+	prefetch: null
+};
+
+//The ways in which a stream can react to an error thrown by the generator
+const errorPolicies = ['end', 'continue', 'pause'];
+ 
+/**
+ * Creates a Bacon stream whose source is pausable. The resulting stream has pause() and 
+ * resume() functions that allow the stream to be paused and resumed.
+ *
+ * The stream will end as soon as Bacon.End is returned or the generator finishes.
+ *
+ * The pause and resume functionality is also available on streams that are derived 
+ * from the stream using pause-aware Bacon functions such as map, filter, flatMap or take,
+ * and pausing any stream in the chain pauses this stream. It is not available on streams
+ * created using functions that combine several observables, such as Bacon.combineAsArray.
+ *
+ * The stream always starts out unpaused.
+ *
+ * A pause can end by itself: pause({ for: ms }) resumes the stream after a delay, and 
+ * pauseUntil(promiseOrObservable) resumes it when a promise resolves or an observable 
+ * emits a value. Resuming the stream or pausing it again cancels the automatic resume.
+ * The idleTimeout option pauses a stream that has been waiting for the consumer to
+ * request, acknowledge or send values for too long.
+ *
+ * The generator can be a synchronous generator object, an asynchronous generator object,
+ * or any object that implements Symbol.asyncIterator. When the generator is asynchronous,
+ * each call to next() is awaited before the next one is made, so there is never more
+ * than one call to next() in progress at a time. If the stream is paused while a value 
+ * is being generated, that value will be held and emitted when the stream is resumed.
+ *
+ * The stream can be ended on demand by calling stop(), which closes the generator by 
+ * calling its return() function so that it can clean up, or abort(error), which throws
+ * the error into the generator and emits it as a Bacon.Error event before ending.
+ *
+ * The lifecycle event stream emits an event whenever the stream is paused, resumed, 
+ * pulls a value from the generator, emits an error or ends, and whenever a call to
+ * pause() or resume() is ignored because it would not change anything. Each event is
+ * an object with a type, a timestamp and the number of items generated so far.
+ *
+ * When the stats option is set, the stats() function reports the number of items 
+ * emitted, the time spent paused, how long the calls to the generator take and the 
+ * throughput of the stream, and statsStream(interval) emits those stats periodically.
+ *
+ * The stream is multicast: there is a single pull loop, no matter how many subscribers
+ * there are, and every value is emitted to all the current subscribers. By default, a
+ * subscriber that subscribes later only receives the values emitted after that, but 
+ * the lateSubscribers option can replay the last value or the last N values to them.
+ * When the pauseVoting option is set, subscribers that subscribe using 
+ * subscribeWithVote() get a vote on whether the stream is paused.
+ *
+ * When every subscriber has unsubscribed from the stream, the stream ends and the 
+ * generator is closed by calling its return() function. Anyone who subscribes to the
+ * stream after that will only receive Bacon.End.
+ *
+ * Errors thrown by the generator are emitted as Bacon.Error events. What happens after 
+ * that depends on the errorPolicy option.
+ *
+ * In demand-driven mode, the stream does not generate any values until they have been
+ * requested by calling request(count), after which the generator will be called 
+ * exactly that many more times before the stream parks itself again.
+ *
+ * When a high-water mark is specified, the stream stops generating values when the 
+ * number of emitted values that haven't been acknowledged reaches the high-water mark,
+ * and starts again when that number falls to the low-water mark. Values are acknowledged
+ * by calling acknowledge() or are acknowledged automatically when the stream is processed
+ * with consume().
+ *
+ * Values can be passed back into the generator's next() function by calling send(value)
+ * or by specifying the nextInput option. When the awaitInput option is set, the stream
+ * waits for a value to be sent after emitting each value. Waiting for input is not a
+ * pause: isPaused() returns false and the pause state doesn't change, and only sending
+ * a value lets the stream continue.
+ *
+ * In batching mode, the stream pulls up to batchSize values from the generator in each
+ * pull cycle and emits them together as an array, which saves the cost of scheduling 
+ * every value separately. A batch is cut short when the stream is paused, can't pull any
+ * more values, or ends, so no value that has been generated is held back by a batch.
+ *
+ * When the prefetch option is set, the stream generates up to that many values ahead
+ * of time and keeps generating them while it is paused, so that the consumer doesn't
+ * have to wait for the generator when the stream is resumed. The buffered values can
+ * be examined with getPrefetched() and discarded with clearPrefetched().
+ *
+ * The checkpoint option saves the position of the stream to a checkpoint store, so that
+ * a long-running stream can be rebuilt from the last checkpoint after a restart.
+ *
+ * The rateLimit option limits how often the generator is called, which is useful for
+ * generators that call rate-limited APIs.
+ *
+ * By default, values are generated in a chain of microtasks, and the chain yields to
+ * the macrotask queue every so often so that timers and I/O callbacks get a turn while
+ * a long-running generator is being drained. The scheduling can be changed with the
+ * yieldEvery and scheduler options.
+ *
+ * @param {Object} - A generator object or async iterable that will generate the events
+ *	for the resulting stream.
+ * @param {Object|boolean} [options] - The options that control the behavior of the 
+ *	stream. For backwards compatibility, this can also be a boolean value, which is
+ *	interpreted as the initiallyPaused option.
+ * @param {boolean} [options.initiallyPaused] - Controls whether the stream is initially 
+ *	paused after it has been created. This option defaults to false.
+ * @param {number} [options.yieldEvery] - The number of values that will be generated
+ *	in a row as microtasks before yielding to the macrotask queue. This option defaults
+ *	to 1000. Use Infinity to never yield.
+ * @param {function} [options.scheduler] - A function that is called with a task function
+ *	whenever the next value is to be generated, and which is responsible for calling that
+ *	task at a later time (setImmediate, for example, or a function returned by the 
+ *	register() function of a scheduler that is shared with other streams). The task 
+ *	returns a promise when the value is being generated asynchronously. When a scheduler
+ *	is specified, the yieldEvery option is ignored. A function returned by register() 
+ *	also pauses the stream while the group it was registered in is paused.
+ * @param {string} [options.errorPolicy] - Controls what happens after the generator
+ *	throws an error, which is emitted as a Bacon.Error event. 'end' ends the stream,
+ *	'continue' keeps calling the generator, and 'pause' pauses the stream so that the
+ *	consumer can decide whether to resume it. This option defaults to 'end'.
+ * @param {Object} [options.pauser] - A Bacon property or event stream of boolean values
+ *	that controls whether the stream is paused. The stream is paused whenever the pauser
+ *	has a true value and resumed whenever it has a false value. The pause() and resume()
+ *	functions can still be used alongside the pauser. This option defaults to null.
+ * @param {boolean} [options.demand] - Puts the stream in demand-driven mode, where the 
+ *	stream starts out with zero demand and the generator is only called as many times
+ *	as has been requested by calling request(). This option defaults to false.
+ * @param {number} [options.highWaterMark] - The number of emitted values that haven't
+ *	been acknowledged yet at which the stream stops generating values. Values are 
+ *	acknowledged by calling acknowledge() or by consuming the stream with consume().
+ *	This option defaults to null, which means that values don't have to be acknowledged.
+ * @param {number} [options.lowWaterMark] - The number of unacknowledged values to which
+ *	the count has to fall before the stream starts generating values again after 
+ *	reaching the high-water mark. This option defaults to half of the high-water mark.
+ * @param {Object} [options.rateLimit] - Limits how often the generator is called using a
+ *	token bucket, where a token is added every rateLimit.interval milliseconds and the
+ *	bucket holds up to rateLimit.burst tokens (which defaults to 1). Each call to the 
+ *	generator takes a token. Without a burst, this calls the generator at a fixed 
+ *	interval. Time spent paused does not add tokens. This option defaults to null.
+ * @param {function} [options.nextInput] - A function that is called with the last value 
+ *	emitted by the stream and returns the value to be passed to the next call to the
+ *	generator's next() function, unless a value was passed using send(). The function
+ *	is not called before the first value has been emitted. This option defaults to null.
+ * @param {boolean} [options.awaitInput] - Controls whether the stream waits for a value
+ *	to be passed using send() after emitting each value before calling the generator 
+ *	again. This option defaults to false.
+ * @param {Object} [options.checkpoint] - Saves the position of the stream to a 
+ *	checkpoint store when the stream is paused, when it ends, and optionally every
+ *	checkpoint.every items. The checkpoint.store option is the store to save the 
+ *	checkpoints to, checkpoint.key is the key to save them under, and checkpoint.position
+ *	is an optional function that maps the last value and the number of emitted items to
+ *	the position that is saved. This option defaults to null.
+ * @param {number} [options.batchSize] - The maximum number of values that are pulled 
+ *	from the generator in a single pull cycle and emitted together as an array. Values 
+ *	are acknowledged and counted towards the water marks individually. This option 
+ *	defaults to null, which means that each value is emitted by itself.
+ * @param {number} [options.batchTime] - The maximum number of milliseconds that values
+ *	wait in a batch that is still being filled by an asynchronous generator before the
+ *	batch is emitted. This option defaults to null, which means that a batch is only
+ *	emitted when it is full or the pull cycle has been cut short.
+ * @param {number} [options.idleTimeout] - The number of milliseconds after which a 
+ *	stream that is waiting for the consumer to request more values, acknowledge values 
+ *	or send input is paused automatically. This option defaults to null, which means
+ *	that the stream is never paused automatically.
+ * @param {boolean|Object} [options.stats] - Controls whether the stream collects stats
+ *	that can be retrieved with stats() and statsStream(). This can also be an object
+ *	whose stats.now property is a function that returns the current time in 
+ *	milliseconds, which is used to measure time instead of the default clock. This 
+ *	option defaults to false.
+ * @param {string|number} [options.lateSubscribers] - Controls what a subscriber that
+ *	subscribes after values have been emitted receives before the values that are
+ *	emitted after that: 'none' for nothing, 'last' for the last value, or a number N
+ *	for the last N values. This option defaults to 'none'.
+ * @param {string} [options.pauseVoting] - Gives subscribers that subscribe using
+ *	subscribeWithVote() a vote on whether the stream is paused. With 'any', the stream
+ *	is paused when any of them votes to pause it, and with 'all', it is only paused 
+ *	when they all vote to pause it. The stream is also paused while it has been paused
+ *	using pause(), whatever the outcome of the vote. This option defaults to null, 
+ *	which means that there is no voting.
+ * @param {number} [options.prefetch] - The number of values that are generated ahead
+ *	of time and kept in a buffer, even while the stream is paused. This can't be 
+ *	combined with the demand, nextInput or awaitInput options, since they depend on 
+ *	values being generated when they are emitted. This option defaults to null, which
+ *	means that values are only generated when they can be emitted.
+ * @returns a pausable and resumable Bacon stream that emits the events created by the
+ *	generator object.
+ */
+function createPausableStream(generator, options = {}) {
+	//For backwards compatibility, the options can be a boolean value indicating
+	//whether the stream is initially paused
+	if(typeof options === 'boolean') {
+		options = { initiallyPaused: options };
+	}
+	
+	options = Object.assign({}, defaultOptions, options);
+	
+	if(errorPolicies.indexOf(options.errorPolicy) === -1) {
+		throw new Error(`the error policy must be one of: ${errorPolicies.join(', ')}`);
+	}
+	
+	//If the generator is an async iterable that is not itself an iterator, use the
+	//iterator that it provides. Since there is no generator function that could return
+	//Bacon.End, the iterator's return value is not emitted.
+	if(isAsyncIterable(generator) && typeof generator.next !== 'function') {
+		generator = endWithBaconEnd(generator[Symbol.asyncIterator]());
+	}
+	
+	//If the generator function is not an object, throw an error
+	if(typeof generator !== 'object' || generator === null || 
+		typeof generator.next !== 'function') {
+		throw new Error('the generator is not a generator object');
+	}
+	
+	if(options.pauser !== null && (typeof options.pauser !== 'object' || 
+		typeof options.pauser.subscribe !== 'function')) {
+		throw new Error('the pauser is not a Bacon observable');
+	}
+	
+	if(options.highWaterMark !== null) {
+		if(!Number.isInteger(options.highWaterMark) || options.highWaterMark < 1) {
+			throw new Error('the high-water mark must be a positive integer');
+		}
+		
+		if(options.lowWaterMark === null) {
+			options.lowWaterMark = Math.floor(options.highWaterMark / 2);
+		}
+		
+		if(!Number.isInteger(options.lowWaterMark) || options.lowWaterMark < 0 ||
+			options.lowWaterMark >= options.highWaterMark) {
+			throw new Error('the low-water mark must be a non-negative integer that is ' +
+				'less than the high-water mark');
+		}
+	}
+	
+	if(options.batchSize !== null && 
+		(!Number.isInteger(options.batchSize) || options.batchSize < 1)) {
+		throw new Error('the batch size must be a positive integer');
+	}
+	
+	if(options.batchTime !== null) {
+		if(options.batchSize === null) {
+			throw new Error('the batch time can only be used with a batch size');
+		}
+		
+		if(typeof options.batchTime !== 'number' || !(options.batchTime > 0)) {
+			throw new Error('the batch time must be a positive number');
+		}
+	}
+	
+	if(typeof options.stats !== 'boolean' && (options.stats === null || 
+		typeof options.stats !== 'object')) {
+		throw new Error('the stats option must be a boolean or an object');
+	}
+	
+	if(options.lateSubscribers !== 'none' && options.lateSubscribers !== 'last' &&
+		(!Number.isInteger(options.lateSubscribers) || options.lateSubscribers < 1)) {
+		throw new Error('the late subscriber policy must be \'none\', \'last\' or a ' +
+			'positive integer');
+	}
+	
+	if(options.prefetch !== null) {
+		if(!Number.isInteger(options.prefetch) || options.prefetch < 1) {
+			throw new Error('the number of prefetched values must be a positive integer');
+		}
+		
+		if(options.demand || options.nextInput !== null || options.awaitInput) {
+			throw new Error('values can\'t be prefetched in demand-driven mode or when ' +
+				'the generator needs input');
+		}
+	}
+	
+	if(options.idleTimeout !== null && 
+		(typeof options.idleTimeout !== 'number' || !(options.idleTimeout > 0))) {
+		throw new Error('the idle timeout must be a positive number');
+	}
+	
+	//Keep track of whether the stream is currently paused or has ended
+	let paused = options.initiallyPaused;
+	let hasEnded = false;
+	
+	//Keep track of the reasons for the stream to be paused: the stream is paused when
+	//its owner has paused it, when the subscribers have voted to pause it, or when
+	//its group has been paused by a shared scheduler
+	let ownerPaused = options.initiallyPaused;
+	let votePaused = false;
+	let groupPaused = false;
+	
+	//Keep track of whether the pull loop is currently running, so that we never
+	//start a second loop while a call to the generator is still in progress
+	let pulling = false;
+	
+	//A generator result that arrived while the stream was paused, which will be
+	//emitted when the stream is resumed
+	let heldResult = null;
+	
+	//The results (or errors) that have been generated ahead of time when the stream
+	//prefetches values, whether the generator is currently being called to add one, 
+	//and whether the generator has nothing more to add
+	let prefetchBuffer = [];
+	let prefetching = false;
+	let prefetchFinished = false;
+	
+	//The number of values that have been generated in a row as microtasks
+	let consecutivePulls = 0;
+	
+	//The number of generator calls that have been requested but not made yet, which
+	//only matters when the stream is in demand-driven mode
+	let demand = 0;
+	
+	//The number of emitted values that haven't been acknowledged yet, and whether
+	//that number has reached the high-water mark
+	let unacknowledged = 0;
+	let saturated = false;
+	
+	//Limit how often the generator is called if there's a rate limit. The stream
+	//may be able to continue whenever a token is added to the bucket.
+	const rateLimiter = options.rateLimit !== null ? 
+		createRateLimiter(options.rateLimit, () => startPulling()) :
+		null;
+	
+	if(rateLimiter !== null && !paused) {
+		rateLimiter.start();
+	}
+	
+	//The input that will be passed to the next call to the generator, whether that input
+	//has been sent, and whether the stream is waiting for input before it can continue
+	let input = undefined;
+	let hasInput = false;
+	let awaitingInput = false;
+	
+	//The last data value that was emitted by the stream, and whether any data value
+	//has been emitted yet
+	let lastValue = undefined;
+	let hasEmittedValue = false;
+	
+	//Save checkpoints if the stream has checkpoint options. If a checkpoint that was
+	//saved automatically could not be saved, the error is emitted by the stream.
+	const checkpointer = options.checkpoint !== null ?
+		createCheckpointer(options.checkpoint, error => {
+			if(streamSink !== null && !hasEnded) {
+				emit(streamSink, new Bacon.Error(error));
+			}
+		}) :
+		null;
+	
+	//Keep track of whether the stream ended because the generator finished
+	let generatorFinished = false;
+	
+	//The values that have been generated for the current batch, and the timer that
+	//emits the batch when it has been filled for too long
+	let batch = [];
+	let batchTimer = null;
+	
+	//A function that cancels the automatic resume of a pause that ends by itself, and
+	//the timer that pauses the stream when it has been waiting for the consumer too long
+	let cancelAutoResume = null;
+	let idleTimer = null;
+	
+	//The number of data values that have been generated, and a stream of the events
+	//in the lifecycle of the stream for debugging and observability
+	let generatedCount = 0;
+	const lifecycleEvents = new Bacon.Bus();
+	
+	//Collect stats if the stream has been asked to
+	const statsCollector = options.stats !== false ? 
+		createStatsCollector(options.stats === true ? undefined : options.stats.now) :
+		null;
+	
+	if(statsCollector !== null && paused) {
+		statsCollector.paused();
+	}
+	
+	//The most recent values that are replayed to late subscribers, and how many of
+	//them are kept
+	const replaySize = options.lateSubscribers === 'none' ? 0 : 
+		options.lateSubscribers === 'last' ? 1 : options.lateSubscribers;
+	const replayBuffer = [];
+	
+	//The sink function that emits stream events, which is only available while
+	//the stream has subscribers
+	let streamSink = null;
+	
+	//Create a Bacon stream of boolean values that controls whether or not the 
+	//main stream is paused, and a stream that emits the pause state whenever
+	//it actually changes
+	const pauseStream = new Bacon.Bus();
+	const pauseChanges = new Bacon.Bus();
+	
+	//Whenever a pause value is pushed to the pause stream, react accordingly. We
+	//listen from the very beginning so that pausing the stream before anyone has 
+	//subscribed to it works as expected.
+	const unsubscribePause = pauseStream.onValue(pauseValue => {
+		//Only do something if the pause value has changed and the stream has not ended
+		if(ownerPaused === pauseValue || hasEnded) {
+			emitLifecycleEvent('ignored', { action: pauseValue ? 'pause' : 'resume' });
+		}
+		else {
+			ownerPaused = pauseValue;
+			
+			//A stream that has been resumed no longer has to be resumed automatically
+			if(!ownerPaused) {
+				clearAutoResume();
+			}
+			
+			updatePaused();
+		}
+	});
+	
+	//If the stream is controlled by an external pauser, feed the values of the pauser
+	//into the pause stream
+	const unplugPauser = options.pauser !== null ? 
+		pauseStream.plug(options.pauser.map(pauseValue => Boolean(pauseValue))) :
+		() => {};
+	
+	//If the subscribers vote on whether the stream is paused, pause or resume the
+	//stream whenever the outcome of the vote changes. The vote is kept apart from the
+	//owner's pause, so that a vote to resume doesn't resume a stream that the owner 
+	//has paused.
+	const pauseVote = options.pauseVoting !== null ?
+		createPauseVote(options.pauseVoting, decision => {
+			votePaused = decision;
+			
+			if(!hasEnded) {
+				updatePaused();
+			}
+		}) :
+		null;
+	
+	//If the stream is registered with a shared scheduler in a group, pause the stream
+	//while the group is paused. Like the vote, this is kept apart from the owner's
+	//pause.
+	const unsubscribeGroupPause = options.scheduler !== null && 
+		typeof options.scheduler.onGroupPause === 'function' ?
+		options.scheduler.onGroupPause(groupPauseValue => {
+			groupPaused = groupPauseValue;
+			
+			if(!hasEnded) {
+				updatePaused();
+			}
+		}) :
+		() => {};
+	
+	//Wrap the generator in a function that will stop calling the generator
+	//if the stream is paused
+	const pausableStream = Bacon.fromBinder(sink => {
+		//If the stream already ended, which also happens when all the previous 
+		//subscribers unsubscribed, there is nothing more to emit
+		if(hasEnded) {
+			sink(new Bacon.End());
+			
+			return () => {};
+		}
+		
+		streamSink = replaySize > 0 ? 
+			event => {
+				recordForReplay(event);
+				
+				return sink(event);
+			} : 
+			sink;
+		
+		startPulling();
+		
+		//When the last subscriber unsubscribes, stop listening for pause values and
+		//close the generator so that it can clean up after itself
+		return () => {
+			streamSink = null;
+			
+			unplugPauser();
+			unsubscribePause();
+			
+			closeGenerator();
+		};
+	});
+		
+	//Since Bacon only emits new events to a subscriber, replay the most recent values
+	//to a subscriber before it is subscribed. Streams derived from this stream subscribe
+	//through the dispatcher too, so they get the replayed values as well.
+	if(replaySize > 0) {
+		const subscribeToDispatcher = pausableStream.dispatcher.subscribe;
+		
+		pausableStream.dispatcher.subscribe = sink => replayTo(sink) ? 
+			subscribeToDispatcher(sink) : 
+			() => {};
+	}
+	
+	//Create pause() and resume() functions on the stream object that push boolean
+	//values to the pause stream. A pause can be given a duration after which the
+	//stream is resumed automatically. Arguments that aren't plain objects are ignored,
+	//so that pause() can be passed directly to a function like onValue().
+	pausableStream.pause = pauseArgument => {
+		const pauseOptions = isPlainObject(pauseArgument) ? pauseArgument : {};
+		
+		if(pauseOptions.for !== undefined && 
+			(typeof pauseOptions.for !== 'number' || !(pauseOptions.for >= 0))) {
+			throw new Error('the pause duration must be a non-negative number');
+		}
+		
+		pauseWithAutoResume(pauseOptions.for !== undefined ? resume => {
+			const resumeTimer = setTimeout(resume, pauseOptions.for);
+			
+			return () => clearTimeout(resumeTimer);
+		} : null);
+	};
+	
+	pausableStream.resume = () => pauseStream.push(false);	
+	
+	//Create a pauseUntil() function that pauses the stream until a promise resolves
+	//or an observable emits a value
+	pausableStream.pauseUntil = trigger => {
+		if(isPromise(trigger)) {
+			pauseWithAutoResume(resume => {
+				let cancelled = false;
+				
+				//If the promise is rejected, the stream stays paused
+				trigger.then(() => {
+					if(!cancelled) {
+						resume();
+					}
+				}, () => {});
+				
+				return () => cancelled = true;
+			});
+		}
+		else if(trigger !== null && typeof trigger === 'object' && 
+			typeof trigger.subscribe === 'function') {
+			pauseWithAutoResume(resume => trigger.take(1).onValue(() => resume()));
+		}
+		else {
+			throw new Error('the stream can only be paused until a promise or observable');
+		}
+	};
+	
+	//Create a request() function that allows more values to be generated when the
+	//stream is in demand-driven mode
+	pausableStream.request = count => {
+		if(!options.demand) {
+			throw new Error('the stream is not in demand-driven mode');
+		}
+		
+		if(typeof count !== 'number' || !(count > 0) || 
+			(!Number.isInteger(count) && count !== Infinity)) {
+			throw new Error('the number of requested values must be a positive integer');
+		}
+		
+		demand = demand + count;
+		
+		startPulling();
+	};
+	
+	//Create an acknowledge() function that indicates that emitted values have been
+	//processed, allowing the stream to generate more values after it has reached
+	//the high-water mark
+	pausableStream.acknowledge = (count = 1) => {
+		if(typeof count !== 'number' || !(count > 0) || !Number.isInteger(count)) {
+			throw new Error('the number of acknowledged values must be a positive integer');
+		}
+		
+		unacknowledged = Math.max(0, unacknowledged - count);
+		
+		if(saturated && unacknowledged <= options.lowWaterMark) {
+			saturated = false;
+			
+			startPulling();
+		}
+	};
+	
+	//Create a consume() function that processes the values using an async handler
+	pausableStream.consume = handler => consumeStream(handler);
+	
+	//Create a send() function that passes a value to the next call to the generator,
+	//so that the consumer can send acknowledgements, cursors or hints to the generator
+	pausableStream.send = value => {
+		input = value;
+		hasInput = true;
+		
+		if(awaitingInput) {
+			awaitingInput = false;
+			
+			startPulling();
+		}
+	};
+	
+	pausableStream.isAwaitingInput = () => awaitingInput;
+	
+	//Create a stop() function that ends the stream and closes the generator, so that
+	//the generator can clean up after itself. An error thrown while the generator is
+	//cleaning up is emitted before the stream ends.
+	pausableStream.stop = () => endOnRequest(() => {
+		if(typeof generator.return !== 'function') {
+			return;
+		}
+		
+		try {
+			ignoreRejection(generator.return());
+		}
+		catch(error) {
+			emitIfSubscribed(new Bacon.Error(error));
+		}
+	});
+	
+	//Create an abort() function that emits an error, throws it into the generator 
+	//and ends the stream. Since the error has already been emitted, the generator
+	//rethrowing it is not treated as another error.
+	pausableStream.abort = (error = new Error('the stream was aborted')) => endOnRequest(() => {
+		emitIfSubscribed(new Bacon.Error(error));
+		
+		const close = typeof generator.throw === 'function' ? generator.throw : generator.return;
+		
+		if(typeof close !== 'function') {
+			return;
+		}
+		
+		try {
+			const result = close.call(generator, error);
+			
+			//A generator that catches the error and yields another value is still 
+			//suspended, so it is closed with return() to run its finally blocks
+			if(close === generator.throw && typeof generator.return === 'function') {
+				whenNotDone(result, () => generator.return());
+			}
+			else {
+				ignoreRejection(result);
+			}
+		}
+		catch(thrownError) {
+			//Ignore the error
+		}
+	});
+	
+	//Create a saveCheckpoint() function that saves the position of the stream on
+	//demand, returning a promise that resolves when the checkpoint has been saved
+	pausableStream.saveCheckpoint = () => {
+		if(checkpointer === null) {
+			return Promise.reject(new Error('the stream does not have checkpoint options'));
+		}
+		
+		return checkpointer.save(generatorFinished);
+	};
+	
+	//Create functions that allow the pause state to be examined
+	pausableStream.isPaused = () => paused;
+	pausableStream.isEnded = () => hasEnded;
+	
+	//Create a property that always has the current pause state, even for 
+	//subscribers that subscribe after the stream was paused or resumed. The property
+	//is kept subscribed to so that it keeps track of the current state.
+	pausableStream.pausedProperty = pauseChanges.toProperty(paused);
+	pausableStream.pausedProperty.onValue(() => {});
+	
+	//Create a subscribeWithVote() function that subscribes to the stream (or the stream
+	//it was called on, if that was a stream derived from this stream), and gives the
+	//subscriber a vote on whether the stream is paused until it unsubscribes
+	pausableStream.subscribeWithVote = function(subscriber) {
+		if(pauseVote === null) {
+			throw new Error('the stream does not have pause voting');
+		}
+		
+		const voter = pauseVote.addVoter();
+		
+		const unsubscribe = this.subscribe(event => {
+			const reply = subscriber(event);
+			
+			if(reply === Bacon.noMore || baconEvents.isEnd(event)) {
+				voter.remove();
+			}
+			
+			return reply;
+		});
+		
+		return {
+			pause: voter.pause,
+			resume: voter.resume,
+			isPausing: voter.isPausing,
+			unsubscribe: () => {
+				voter.remove();
+				
+				unsubscribe();
+			}
+		};
+	};
+	
+	//Create a getPrefetched() function that gets the values that have been prefetched
+	//but not emitted yet
+	pausableStream.getPrefetched = () => prefetchBuffer
+		.filter(entry => entry.result !== undefined && isDataValue(entry.result.value))
+		.map(entry => entry.result.value);
+	
+	//Create a clearPrefetched() function that discards the values that have been 
+	//prefetched, so that the buffer is filled with fresh values. The end of the stream
+	//can't be discarded, since the generator will not generate it again.
+	pausableStream.clearPrefetched = () => {
+		const discardedCount = prefetchBuffer.filter(entry => !endsStream(entry)).length;
+		
+		prefetchBuffer = prefetchBuffer.filter(entry => endsStream(entry));
+		
+		startPulling();
+		
+		return discardedCount;
+	};
+	
+	//Create a stats() function that gets the current stats of the stream
+	pausableStream.stats = () => {
+		if(statsCollector === null) {
+			throw new Error('the stream does not collect stats');
+		}
+		
+		return statsCollector.getStats();
+	};
+	
+	//Create a statsStream() function that creates an event stream that emits the 
+	//stats of the stream periodically, and the final stats when the stream ends
+	pausableStream.statsStream = interval => {
+		if(statsCollector === null) {
+			throw new Error('the stream does not collect stats');
+		}
+		
+		if(typeof interval !== 'number' || !(interval > 0)) {
+			throw new Error('the stats interval must be a positive number');
+		}
+		
+		return Bacon.fromBinder(sink => {
+			const statsTimer = setInterval(() => sink(statsCollector.getStats()), interval);
+			
+			const unsubscribeLifecycle = pausableStream.lifecycle.onEnd(() => {
+				clearInterval(statsTimer);
+				
+				sink([statsCollector.getStats(), new Bacon.End()]);
+			});
+			
+			return () => {
+				clearInterval(statsTimer);
+				
+				unsubscribeLifecycle();
+			};
+		});
+	};
+	
+	//Create an event stream of lifecycle events. Since the bus that emits them can be
+	//pushed to, the bus itself is not exposed.
+	pausableStream.lifecycle = Bacon.fromBinder(sink => 
+		lifecycleEvents.subscribe(event => sink(event)));
+	
+	/**
+	 * Keeps a value that has been emitted, so that it can be replayed to late 
+	 * subscribers, discarding the oldest value when there are too many
+	 *
+	 * @param {*} value - the value or Bacon event that has been emitted
+	 */
+	function recordForReplay(value) {
+		if(isDataValue(value)) {
+			replayBuffer.push(value);
+			
+			if(replayBuffer.length > replaySize) {
+				replayBuffer.shift();
+			}
+		}
+	}
+	
+	/**
+	 * Replays the values that have been kept to a subscriber
+	 *
+	 * @param {function} sink - the sink function of the subscriber
+	 * @returns {boolean} false if the subscriber did not want any more events, 
+	 *	otherwise true
+	 */
+	function replayTo(sink) {
+		return replayBuffer.slice().every(value => {
+			const event = baconEvents.isEvent(value) ? value : baconEvents.createNext(value);
+			
+			return sink(event) !== Bacon.noMore;
+		});
+	}
+	
+	/**
+	 * Emits an event on the lifecycle event stream
+	 *
+	 * @param {string} type - the type of lifecycle event: 'paused', 'resumed', 'pulled', 
+	 *	'errored', 'ended' or 'ignored'
+	 * @param {Object} [details] - the properties that are specific to the type of event
+	 */
+	function emitLifecycleEvent(type, details = {}) {
+		lifecycleEvents.push(Object.assign({ 
+			type, 
+			timestamp: Date.now(), 
+			itemCount: generatedCount 
+		}, details));
+	}
+	
+	/**
+	 * Pauses or resumes the stream when the reasons for it to be paused have changed
+	 * whether it should be paused
+	 */
+	function updatePaused() {
+		if(paused === (ownerPaused || votePaused || groupPaused)) {
+			return;
+		}
+		
+		//Set the flag that indicates whether the stream is paused
+		paused = ownerPaused || votePaused || groupPaused;
+		
+		pauseChanges.push(paused);
+		
+		emitLifecycleEvent(paused ? 'paused' : 'resumed');
+		
+		if(statsCollector !== null) {
+			if(paused) {
+				statsCollector.paused();
+			}
+			else {
+				statsCollector.resumed();
+			}
+		}
+		
+		if(paused && checkpointer !== null) {
+			checkpointer.paused();
+		}
+		
+		//Time spent paused must not count towards the rate limit
+		if(rateLimiter !== null) {
+			if(paused) {
+				rateLimiter.stop();
+			}
+			else {
+				rateLimiter.start();
+			}
+		}
+		
+		//If the stream has been unpaused, start generating values again
+		startPulling();
+	}
+	
+	/**
+	 * Pauses the stream, replacing any automatic resume from an earlier pause. If the 
+	 * stream has ended, it can't be paused or resumed anymore.
+	 *
+	 * @param {function} scheduleResume - a function that is called with a resume 
+	 *	function, which it calls when the stream is to be resumed, and which returns a
+	 *	function that cancels the automatic resume. If this is null, the stream stays
+	 *	paused until it is resumed.
+	 */
+	function pauseWithAutoResume(scheduleResume) {
+		clearAutoResume();
+		
+		pauseStream.push(true);
+		
+		if(scheduleResume !== null && !hasEnded) {
+			cancelAutoResume = scheduleResume(() => {
+				cancelAutoResume = null;
+				
+				pausableStream.resume();
+			});
+		}
+	}
+	
+	/**
+	 * Cancels the automatic resume of the current pause, if there is one
+	 */
+	function clearAutoResume() {
+		if(cancelAutoResume !== null) {
+			const cancel = cancelAutoResume;
+			
+			cancelAutoResume = null;
+			
+			cancel();
+		}
+	}
+	
+	/**
+	 * Starts the idle timer when the stream can't continue until the consumer requests
+	 * more values, acknowledges values or sends input, and stops it otherwise. When the
+	 * timer runs out, the stream is paused.
+	 */
+	function updateIdleTimer() {
+		if(options.idleTimeout === null) {
+			return;
+		}
+		
+		const waitingForConsumer = (options.demand && demand <= 0) || saturated || 
+			awaitingInput;
+		
+		if(streamSink !== null && waitingForConsumer && !pulling && !paused && !hasEnded) {
+			if(idleTimer === null) {
+				idleTimer = setTimeout(() => {
+					idleTimer = null;
+					
+					pausableStream.pause();
+				}, options.idleTimeout);
+			}
+		}
+		else {
+			clearIdleTimer();
+		}
+	}
+	
+	/**
+	 * Stops the idle timer
+	 */
+	function clearIdleTimer() {
+		if(idleTimer !== null) {
+			clearTimeout(idleTimer);
+			
+			idleTimer = null;
+		}
+	}
+	
+	/**
+	 * Starts a recursive chain of generator function calls to generate the stream
+	 * values, provided that the stream has a subscriber and values can be generated. 
+	 * If the chain is still running because a value is being generated, it will carry
+	 * on by itself.
+	 */
+	function startPulling() {
+		prefetch();
+		
+		if(streamSink !== null && canPull() && !pulling) {
+			repeatUntilPaused(options.batchSize !== null ?
+				() => pullBatch(streamSink) :
+				() => pullValue(streamSink));
+		}
+		
+		updateIdleTimer();
+	}
+	
+	/**
+	 * Indicates whether the stream can currently emit values, which is the case when 
+	 * it is not paused, has not ended, has not reached the high-water mark, and either
+	 * has a value that is waiting to be emitted or is allowed to call the generator
+	 * by the demand and the rate limit.
+	 *
+	 * @returns true if the stream can emit a value, otherwise false
+	 */
+	function canPull() {
+		if(paused || hasEnded || saturated || awaitingInput) {
+			return false;
+		}
+		
+		//A value that is waiting to be emitted has already been generated, so it 
+		//doesn't have to be requested or wait for the rate limit
+		if(heldResult !== null) {
+			return true;
+		}
+		
+		//When values are prefetched, only the values in the buffer can be emitted
+		if(options.prefetch !== null) {
+			return prefetchBuffer.length > 0;
+		}
+		
+		return (!options.demand || demand > 0) && 
+			(rateLimiter === null || rateLimiter.hasToken());
+	}
+	
+	/**
+	 * Subscribes to the stream and calls a handler function with each value. Each
+	 * value is acknowledged when the handler has finished processing it, so a stream
+	 * with a high-water mark will never have more values being processed at the same
+	 * time than the high-water mark allows.
+	 *
+	 * @param {function} handler - a function that is called with each value, and which
+	 *	can return a promise that resolves when the value has been processed
+	 * @returns {Object} a promise that resolves when the stream has ended and all the 
+	 *	values have been processed, or that is rejected with the first error emitted
+	 *	by the stream or thrown by the handler, after which the handler is not
+	 *	called again
+	 */
+	function consumeStream(handler) {
+		return new Promise((resolve, reject) => {
+			let pendingHandlers = 0;
+			let streamFinished = false;
+			let failed = false;
+			
+			const unsubscribe = pausableStream.subscribe(event => {
+				if(failed) {
+					return Bacon.noMore;
+				}
+				
+				if(baconEvents.isEnd(event)) {
+					streamFinished = true;
+					
+					resolveWhenFinished();
+				}
+				else if(baconEvents.isError(event)) {
+					fail(event.error);
+					
+					return Bacon.noMore;
+				}
+				else if(baconEvents.hasValue(event)) {
+					const value = baconEvents.getValue(event);
+					
+					pendingHandlers = pendingHandlers + 1;
+					
+					new Promise(resolveHandler => resolveHandler(handler(value)))
+						.then(() => {
+							pendingHandlers = pendingHandlers - 1;
+							
+							//A batch is acknowledged as all the values it contains
+							pausableStream.acknowledge(options.batchSize !== null ? 
+								value.length : 1);
+							
+							resolveWhenFinished();
+						}, error => {
+							unsubscribe();
+							
+							fail(error);
+						});
+				}
+			});
+			
+			/**
+			 * Resolves the promise when the stream has ended and there are no values
+			 * that are still being processed
+			 */
+			function resolveWhenFinished() {
+				if(streamFinished && pendingHandlers === 0 && !failed) {
+					resolve();
+				}
+			}
+			
+			/**
+			 * Rejects the promise and stops calling the handler
+			 *
+			 * @param {*} error - the error that the promise is rejected with
+			 */
+			function fail(error) {
+				if(!failed) {
+					failed = true;
+					
+					reject(error);
+				}
+			}
+		});
+	}
+	
+	/**
+	 * Pulls a batch of values from the generator and emits them as an array. Values
+	 * are pulled until the batch is full or the stream can't pull any more values, 
+	 * such as when it has been paused or has ended.
+	 *
+	 * @param {function} sink - the sink function that emits stream events
+	 * @param {number} [pullCount] - the number of values that have already been pulled
+	 *	in this pull cycle. This parameter defaults to 0.
+	 * @returns {Object} a promise that resolves when an asynchronous batch has been
+	 *	emitted, or undefined if the batch was emitted synchronously
+	 */
+	function pullBatch(sink, pullCount = 0) {
+		while(pullCount < options.batchSize && canPull()) {
+			pullCount = pullCount + 1;
+			
+			const result = pullValue(sink);
+			
+			//Wait for an asynchronous value before pulling the rest of the batch
+			if(isPromise(result)) {
+				return result.then(() => pullBatch(sink, pullCount));
+			}
+		}
+		
+		emitBatch(sink);
+	}
+	
+	/**
+	 * Emits the values in the current batch as an array, if there are any
+	 *
+	 * @param {function} sink - the sink function that emits stream events
+	 */
+	function emitBatch(sink) {
+		clearBatchTimer();
+		
+		if(batch.length > 0) {
+			const values = batch;
+			
+			batch = [];
+			
+			sink(values);
+		}
+	}
+	
+	/**
+	 * Stops the timer that emits the current batch
+	 */
+	function clearBatchTimer() {
+		if(batchTimer !== null) {
+			clearTimeout(batchTimer);
+			
+			batchTimer = null;
+		}
+	}
+	
+	/**
+	 * Emits an event, or adds a data value to the current batch in batching mode. 
+	 * Before any other event is emitted, the current batch is emitted, so that the 
+	 * events stay in order.
+	 *
+	 * @param {function} sink - the sink function that emits stream events
+	 * @param {*} value - the value or Bacon event to be emitted
+	 */
+	function emit(sink, value) {
+		if(isBaconError(value)) {
+			emitLifecycleEvent('errored', { error: value.error });
+		}
+		
+		if(options.batchSize === null) {
+			sink(value);
+		}
+		else if(isDataValue(value)) {
+			batch.push(value);
+			
+			//Make sure the values don't wait in an unfinished batch for too long
+			if(batch.length === 1 && options.batchTime !== null) {
+				batchTimer = setTimeout(() => {
+					batchTimer = null;
+					
+					if(streamSink !== null) {
+						emitBatch(streamSink);
+					}
+				}, options.batchTime);
+			}
+			
+			if(batch.length >= options.batchSize) {
+				emitBatch(sink);
+			}
+		}
+		else {
+			emitBatch(sink);
+			
+			sink(value);
+		}
+	}
+	
+	/**
+	 * Pulls the next value and emits it, taking it from the prefetch buffer when the
+	 * stream prefetches values
+	 *
+	 * @param {function} sink - the sink function that emits stream events
+	 * @returns {Object} a promise that resolves when an asynchronous value has been
+	 *	emitted or held, or undefined if the value was emitted synchronously
+	 */
+	function pullValue(sink) {
+		return options.prefetch !== null ? pullPrefetchedValue(sink) : pullNextValue(sink);
+	}
+	
+	/**
+	 * Pulls the next value from the generator and emits it. If the stream was paused
+	 * while an asynchronous generator was producing the value, the value is held
+	 * until the stream is resumed.
+	 *
+	 * @param {function} sink - the sink function that emits stream events
+	 * @returns {Object} a promise that resolves when an asynchronous value has been
+	 *	emitted or held, or undefined if the value was emitted synchronously
+	 */
+	function pullNextValue(sink) {
+		//If a value arrived while the stream was paused, emit that value instead of
+		//generating a new one
+		if(heldResult !== null) {
+			const result = heldResult;
+			
+			heldResult = null;
+			
+			return emitResult(sink, result);
+		}
+		
+		return callGenerator((result, isAsync) => {
+			if(isAsync && paused) {
+				heldResult = result;
+			}
+			else {
+				emitResult(sink, result);
+			}
+		}, error => handleGeneratorError(sink, error));
+	}
+	
+	/**
+	 * Emits the oldest value in the prefetch buffer, or reacts to the error that was
+	 * thrown when that value was being generated, and then tops up the buffer
+	 *
+	 * @param {function} sink - the sink function that emits stream events
+	 */
+	function pullPrefetchedValue(sink) {
+		const entry = prefetchBuffer.shift();
+		
+		if(entry.result !== undefined) {
+			emitResult(sink, entry.result);
+		}
+		else {
+			handleGeneratorError(sink, entry.error);
+		}
+		
+		prefetch();
+	}
+	
+	/**
+	 * Keeps calling the generator until the prefetch buffer is full, the generator 
+	 * has finished or the rate limit has been reached. Values are prefetched even 
+	 * while the stream is paused, but only once it has a subscriber.
+	 */
+	function prefetch() {
+		while(canPrefetch()) {
+			prefetching = true;
+			
+			const prefetched = callGenerator(result => {
+				prefetchBuffer.push({ result });
+				
+				if(result.done || isBaconEnd(result.value)) {
+					prefetchFinished = true;
+				}
+				
+				startPulling();
+			}, error => {
+				prefetchBuffer.push({ error });
+				
+				if(options.errorPolicy === 'end') {
+					prefetchFinished = true;
+				}
+				
+				startPulling();
+			});
+			
+			//Wait for an asynchronous value before generating the next one
+			if(isPromise(prefetched)) {
+				prefetched.then(() => {
+					prefetching = false;
+					
+					prefetch();
+				});
+				
+				return;
+			}
+			
+			prefetching = false;
+		}
+	}
+	
+	/**
+	 * Indicates whether the generator can be called to add a value to the prefetch 
+	 * buffer
+	 *
+	 * @returns true if a value can be prefetched, otherwise false
+	 */
+	function canPrefetch() {
+		return options.prefetch !== null && streamSink !== null && !hasEnded && 
+			!prefetching && !prefetchFinished && prefetchBuffer.length < options.prefetch &&
+			(rateLimiter === null || rateLimiter.hasToken());
+	}
+	
+	/**
+	 * Indicates whether an entry in the prefetch buffer ends the stream
+	 *
+	 * @param {Object} entry - the entry in the prefetch buffer
+	 * @returns true if emitting the entry ends the stream, otherwise false
+	 */
+	function endsStream(entry) {
+		return entry.result !== undefined ? 
+			entry.result.done || isBaconEnd(entry.result.value) :
+			options.errorPolicy === 'end';
+	}
+	
+	/**
+	 * Calls the generator's next() function, using up one of the requested values and
+	 * a rate limit token, and passes the result to a callback function
+	 *
+	 * @param {function} onResult - a function that is called with the result object
+	 *	returned by the generator and whether it was generated asynchronously
+	 * @param {function} onError - a function that is called with the error if the 
+	 *	generator throws an error
+	 * @returns {Object} a promise that resolves when an asynchronous result has been
+	 *	passed to the callback function, or undefined if the generator is synchronous
+	 */
+	function callGenerator(onResult, onError) {
+		//Get the current value from the generator, using up one of the requested values
+		let nextResult = null;
+		
+		if(options.demand) {
+			demand = demand - 1;
+		}
+		
+		if(rateLimiter !== null) {
+			rateLimiter.takeToken();
+		}
+		
+		const callCompleted = statsCollector !== null ? statsCollector.timeCall() : () => {};
+		
+		try {
+			nextResult = generator.next(getNextInput());
+		}
+		catch(error) {
+			callCompleted();
+			
+			onError(error);
+			
+			return;
+		}
+		
+		//Async generators return a promise of the result, so we have to wait for it
+		if(isPromise(nextResult)) {
+			return nextResult.then(result => {
+				callCompleted();
+				
+				//If the stream ended while the value was being generated, such as
+				//when all the subscribers unsubscribed, discard the value
+				if(hasEnded) {
+					return;
+				}
+				
+				recordPull(result);
+				
+				onResult(result, true);
+			}, error => {
+				callCompleted();
+				
+				if(!hasEnded) {
+					onError(error);
+				}
+			});
+		}
+		
+		callCompleted();
+		
+		recordPull(nextResult);
+		
+		onResult(nextResult, false);
+	}
+	
+	/**
+	 * Counts a result that was returned by the generator and emits a lifecycle event
+	 * for it
+	 *
+	 * @param {Object} result - the result object returned by the generator
+	 */
+	function recordPull(result) {
+		if(isDataValue(result.value)) {
+			generatedCount = generatedCount + 1;
+		}
+		
+		emitLifecycleEvent('pulled', { done: Boolean(result.done) });
+	}
+	
+	/**
+	 * Indicates that the stream has ended, stops anything that is still waiting
+	 * to generate values and saves the final checkpoint. Nothing happens if the 
+	 * stream has already ended.
+	 *
+	 * @param {boolean} [finished] - whether the stream ended because the generator
+	 *	finished. This parameter defaults to false.
+	 */
+	function markEnded(finished = false) {
+		if(hasEnded) {
+			return;
+		}
+		
+		hasEnded = true;
+		generatorFinished = finished;
+		
+		if(rateLimiter !== null) {
+			rateLimiter.stop();
+		}
+		
+		clearBatchTimer();
+		clearAutoResume();
+		clearIdleTimer();
+		
+		//The stream no longer has to follow the pauses of its group
+		unsubscribeGroupPause();
+		
+		//Values that were prefetched will never be emitted
+		prefetchBuffer = [];
+		
+		if(checkpointer !== null) {
+			checkpointer.ended(finished);
+		}
+		
+		if(statsCollector !== null) {
+			statsCollector.ended();
+		}
+		
+		emitLifecycleEvent('ended', { completed: finished });
+		
+		lifecycleEvents.end();
+	}
+	
+	/**
+	 * Ends the stream because stop() or abort() was called. The stream is marked as 
+	 * ended first, so that nothing the subscribers do in response to the events can
+	 * generate any more values, and Bacon.End is emitted once the generator has been 
+	 * closed.
+	 *
+	 * @param {function} close - a function that closes the generator and emits any 
+	 *	events that have to be emitted before the stream ends
+	 */
+	function endOnRequest(close) {
+		if(hasEnded) {
+			return;
+		}
+		
+		markEnded();
+		
+		//A value that arrived while the stream was paused will never be emitted
+		heldResult = null;
+		
+		close();
+		
+		emitIfSubscribed(new Bacon.End());
+	}
+	
+	/**
+	 * Emits an event if the stream has a subscriber
+	 *
+	 * @param {Object} event - the Bacon event to be emitted
+	 */
+	function emitIfSubscribed(event) {
+		if(streamSink !== null) {
+			emit(streamSink, event);
+		}
+	}
+	
+	/**
+	 * Ends the stream and closes the generator by calling its return() function, which
+	 * runs any finally blocks in the generator. If the stream has already ended, the 
+	 * generator is not closed, since it has either finished or ended the stream itself.
+	 */
+	function closeGenerator() {
+		if(hasEnded) {
+			return;
+		}
+		
+		markEnded();
+		
+		if(typeof generator.return !== 'function') {
+			return;
+		}
+		
+		//Nobody is listening to the stream anymore, so there is nobody we could report
+		//an error to if the generator fails to clean up
+		try {
+			ignoreRejection(generator.return());
+		}
+		catch(error) {
+			//Ignore the error
+		}
+	}
+	
+	/**
+	 * Gets the input to be passed to the next call to the generator, which is either
+	 * the value that was passed to send() or the value returned by the nextInput 
+	 * option. The input that was sent is only used once.
+	 *
+	 * @returns {*} the input to be passed to the generator
+	 */
+	function getNextInput() {
+		if(hasInput) {
+			const nextInput = input;
+			
+			input = undefined;
+			hasInput = false;
+			
+			return nextInput;
+		}
+		
+		//The first call to a generator doesn't receive any input, so we only use the
+		//nextInput option once a value has been emitted
+		return options.nextInput !== null && hasEmittedValue ? 
+			options.nextInput(lastValue) : undefined;
+	}
+	
+	/**
+	 * Emits an error thrown by the generator as a Bacon.Error event and then reacts
+	 * according to the error policy
+	 *
+	 * @param {function} sink - the sink function that emits stream events
+	 * @param {*} error - the error that was thrown by the generator
+	 */
+	function handleGeneratorError(sink, error) {
+		//If the error ends the stream, indicate that the stream has ended before 
+		//emitting the error, so that unsubscribing in response to the error doesn't
+		//treat the stream as having been torn down
+		if(options.errorPolicy === 'end') {
+			markEnded();
+		}
+		
+		emit(sink, new Bacon.Error(error));
+		
+		if(options.errorPolicy === 'pause') {
+			//Pause the stream so that the consumer can decide what to do
+			pausableStream.pause();
+		}
+		else if(options.errorPolicy === 'end') {
+			emit(sink, new Bacon.End());
+		}
+	}
+	
+	/**
+	 * Emits a result returned by the generator and keeps track of whether the
+	 * stream has ended
+	 *
+	 * @param {function} sink - the sink function that emits stream events
+	 * @param {Object} currentValue - the result object returned by the generator
+	 */
+	function emitResult(sink, currentValue) {
+		//If the values have to be acknowledged, keep track of the unacknowledged values
+		//and stop generating values when there are too many of them
+		if(options.highWaterMark !== null && isDataValue(currentValue.value)) {
+			unacknowledged = unacknowledged + 1;
+			
+			if(unacknowledged >= options.highWaterMark) {
+				saturated = true;
+			}
+		}
+		
+		if(isDataValue(currentValue.value)) {
+			lastValue = currentValue.value;
+			hasEmittedValue = true;
+			
+			if(checkpointer !== null) {
+				checkpointer.itemEmitted(currentValue.value);
+			}
+			
+			if(statsCollector !== null) {
+				statsCollector.itemEmitted();
+			}
+			
+			//Wait for the consumer to send some input before calling the generator again
+			if(options.awaitInput && !currentValue.done) {
+				awaitingInput = true;
+			}
+		}
+		
+		//If this is the last value, or the value is Bacon.End, indicate that the stream
+		//has ended before emitting the value, so that unsubscribing in response to the
+		//end of the stream doesn't treat the stream as having been torn down
+		if(currentValue.done || isBaconEnd(currentValue.value)) {
+			markEnded(true);
+		}
+		
+		//Emit the value
+		emit(sink, currentValue.value);
+		
+		//If the last value was *not* Bacon.End, emit Bacon.End
+		if(currentValue.done && !isBaconEnd(currentValue.value)) {
+			emit(sink, new Bacon.End());
+		}
+	}
+	
+	/**
+	 * Indicates whether a value is a Bacon.End object
+	 *
+	 * @param {*} value - the value to be examined
+	 * @returns true if the value is a Bacon.End object, otherwise false
+	 */
+	function isBaconEnd(value) {
+		return baconEvents.isEvent(value) && baconEvents.isEnd(value);
+	}
+	
+	/**
+	 * Indicates whether a value is a Bacon.Error object
+	 *
+	 * @param {*} value - the value to be examined
+	 * @returns true if the value is a Bacon.Error object, otherwise false
+	 */
+	function isBaconError(value) {
+		return baconEvents.isEvent(value) && baconEvents.isError(value);
+	}
+	
+	/**
+	 * Indicates whether a value emitted by the generator is a data value, rather
+	 * than a Bacon.End or Bacon.Error object
+	 *
+	 * @param {*} value - the value to be examined
+	 * @returns true if the value is a data value, otherwise false
+	 */
+	function isDataValue(value) {
+		return !isBaconEnd(value) && !isBaconError(value);
+	}
+	
+	/**
+	 * Asynchronously and recursively calls a callback function, repeating until
+	 * the stream has been paused or it has come to an end.
+	 *
+	 * Since we are making recursive calls by putting an asynchronous function call
+	 * on the Javascript event queue, we avoid issues with call stack overflows.
+	 *
+	 * If the callback function returns a promise, the next call will not be made
+	 * until that promise has been resolved.
+	 *
+	 * @param func - the function to be called with zero parameters.
+	 */
+	function repeatUntilPaused(func) {
+		pulling = true;
+		
+		scheduleNext(() => {
+			//The stream may have been paused while the call was waiting to be run
+			if(!canPull()) {
+				pulling = false;
+				
+				updateIdleTimer();
+
+				return;
+			}
+
+			const result = func();
+			
+			//If the function is asynchronous, wait for it to complete before
+			//scheduling the next call
+			if(isPromise(result)) {
+				return result.then(continueUnlessPaused);
+			}
+			
+			continueUnlessPaused();
+		});
+		
+		/**
+		 * Schedules the next function call if the stream has not been paused
+		 * and has not ended
+		 */
+		function continueUnlessPaused() {
+			if(canPull()) {
+				repeatUntilPaused(func);
+			}
+			else {
+				pulling = false;
+				
+				updateIdleTimer();
+			}
+		}
+	}
+	
+	/**
+	 * Schedules a task that generates the next value. If a scheduler was specified
+	 * in the options, the scheduler is used. Otherwise the task is run as a microtask,
+	 * except that every so often it is run as a macrotask so that other work in the
+	 * event loop gets a turn.
+	 *
+	 * @param {function} task - the task to be scheduled
+	 */
+	function scheduleNext(task) {
+		if(options.scheduler) {
+			options.scheduler(task);
+			
+			return;
+		}
+		
+		consecutivePulls = consecutivePulls + 1;
+		
+		if(consecutivePulls >= options.yieldEvery) {
+			consecutivePulls = 0;
+			
+			yieldToEventLoop(task);
+		}
+		else {
+			//We use an immediately resolved promise followed by a call to then() as 
+			//a way to recurse asynchronously.
+			Promise.resolve().then(task);
+		}
+	}
+	
+	//Streams derived from this stream using operators such as map() and filter() get
+	//the same pause controls, so that they can pause this stream
+	return addPauseControls(pausableStream, pausableStream);	
+}
+
+/**
+ * Indicates whether a value is an async iterable
+ *
+ * @param {*} value - the value to be examined
+ * @returns true if the value implements Symbol.asyncIterator, otherwise false
+ */
+function isAsyncIterable(value) {
+	return value !== null && typeof value === 'object' && 
+		typeof value[Symbol.asyncIterator] === 'function';
+}
+
+/**
+ * Calls a function if a generator result, or the result that a promise resolves to,
+ * indicates that the generator is not done. Errors are ignored, since nobody is
+ * interested in them.
+ *
+ * @param {*} result - the generator result, which may be a promise
+ * @param {function} callback - the function to be called if the generator is not done
+ */
+function whenNotDone(result, callback) {
+	const callIfNotDone = currentResult => {
+		if(currentResult !== null && typeof currentResult === 'object' && 
+			!currentResult.done) {
+			ignoreRejection(callback());
+		}
+	};
+	
+	if(isPromise(result)) {
+		result.then(callIfNotDone).then(() => {}, () => {});
+	}
+	else {
+		callIfNotDone(result);
+	}
+}
+
+/**
+ * Indicates whether a value is a plain object, as opposed to a primitive value, an
+ * array or an instance of a class
+ *
+ * @param {*} value - the value to be examined
+ * @returns {boolean} true if the value is a plain object, otherwise false
+ */
+function isPlainObject(value) {
+	if(value === null || typeof value !== 'object') {
+		return false;
+	}
+	
+	const prototype = Object.getPrototypeOf(value);
+	
+	return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Makes sure that a rejected promise is not reported as an unhandled rejection, for
+ * promises whose result nobody is interested in
+ *
+ * @param {*} value - the value to be examined, which may be a promise
+ */
+function ignoreRejection(value) {
+	if(isPromise(value)) {
+		value.then(() => {}, () => {});
+	}
+}
+
+module.exports = createPausableStream;
\ No newline at end of file
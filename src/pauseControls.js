@@ -0,0 +1,118 @@
+//The names of the functions and properties that control a pausable stream
+const controlNames = [
+	'pause',
+	'pauseUntil',
+	'resume',
+	'request',
+	'acknowledge',
+	'send',
+	'stop',
+	'abort',
+	'isPaused',
+	'isEnded',
+	'isAwaitingInput',
+	'pausedProperty',
+	'lifecycle',
+	'stats',
+	'statsStream',
+	'subscribeWithVote',
+	'getPrefetched',
+	'clearPrefetched'
+];
+
+//The Bacon operators whose resulting observables keep the pause controls of the
+//observable they were called on
+const pauseAwareOperators = [
+	'map',
+	'filter',
+	'flatMap',
+	'flatMapConcat',
+	'flatMapFirst',
+	'flatMapLatest',
+	'flatMapWithConcurrencyLimit',
+	'flatMapError',
+	'take',
+	'takeWhile',
+	'takeUntil',
+	'skip',
+	'skipWhile',
+	'skipUntil',
+	'skipDuplicates',
+	'skipErrors',
+	'first',
+	'last',
+	'not',
+	'doAction',
+	'doError',
+	'doEnd',
+	'doLog',
+	'mapError',
+	'mapEnd',
+	'errors',
+	'endOnError',
+	'startWith',
+	'scan',
+	'fold',
+	'reduce',
+	'diff',
+	'buffer',
+	'bufferWithCount',
+	'bufferWithTime',
+	'bufferWithTimeOrCount',
+	'slidingWindow',
+	'delay',
+	'debounce',
+	'debounceImmediate',
+	'throttle',
+	'bufferingThrottle',
+	'withStateMachine',
+	'withDescription',
+	'toProperty',
+	'toEventStream'
+];
+
+/**
+ * Adds the pause controls of a pausable stream to an observable, and makes sure that
+ * the observables derived from it using pause-aware operators such as map() and 
+ * filter() get the same pause controls. Calling pause() on any observable in the
+ * chain will then pause the source.
+ *
+ * @param {Object} observable - the Bacon observable to add the pause controls to
+ * @param {Object} source - the pausable stream that has the pause controls
+ * @returns {Object} the observable with the pause controls added
+ */
+function addPauseControls(observable, source) {
+	controlNames
+		.filter(name => source[name] !== undefined)
+		.forEach(name => observable[name] = source[name]);
+	
+	pauseAwareOperators
+		.filter(name => typeof observable[name] === 'function')
+		.forEach(name => {
+			const operator = observable[name];
+			
+			observable[name] = function(...args) {
+				const result = operator.apply(this, args);
+				
+				return isObservable(result) ? addPauseControls(result, source) : result;
+			};
+		});
+	
+	return observable;
+}
+
+/**
+ * Indicates whether a value is a Bacon observable
+ *
+ * @param {*} value - the value to be examined
+ * @returns true if the value is an observable, otherwise false
+ */
+function isObservable(value) {
+	return value !== null && typeof value === 'object' && 
+		typeof value.subscribe === 'function';
+}
+
+module.exports = {
+	controlNames,
+	addPauseControls
+};
@@ -0,0 +1,88 @@
+//The ways in which the votes of the subscribers can decide whether a stream is paused
+const votingPolicies = ['any', 'all'];
+
+/**
+ * Creates a pause vote, which decides whether a stream should be paused based on the
+ * votes of its subscribers. Each voter votes to pause or to resume the stream, and 
+ * starts out voting to resume it.
+ *
+ * With the 'any' policy, the stream is paused as soon as any voter votes to pause it.
+ * With the 'all' policy, the stream is only paused when every voter votes to pause it,
+ * and there is at least one voter.
+ *
+ * @param {string} policy - the voting policy: 'any' or 'all'
+ * @param {function} onDecision - a function that is called with true when the outcome
+ *	of the vote changes to pausing the stream, and with false when it changes to 
+ *	resuming the stream
+ * @returns {Object} a pause vote object
+ */
+function createPauseVote(policy, onDecision) {
+	if(votingPolicies.indexOf(policy) === -1) {
+		throw new Error(`the pause voting policy must be one of: ${votingPolicies.join(', ')}`);
+	}
+	
+	//The votes of the voters, mapped by voter, and the current outcome of the vote
+	const votes = new Map();
+	let decision = false;
+	
+	/**
+	 * Counts the votes and reports the outcome if it has changed
+	 */
+	function countVotes() {
+		const pauseVotes = Array.from(votes.values()).filter(vote => vote).length;
+		
+		const newDecision = policy === 'any' ? 
+			pauseVotes > 0 : 
+			votes.size > 0 && pauseVotes === votes.size;
+		
+		if(newDecision !== decision) {
+			decision = newDecision;
+			
+			onDecision(decision);
+		}
+	}
+	
+	/**
+	 * Changes the vote of a voter, unless the voter has been removed
+	 *
+	 * @param {Object} voter - the voter
+	 * @param {boolean} vote - true to vote to pause the stream, false to vote to 
+	 *	resume it
+	 */
+	function castVote(voter, vote) {
+		if(votes.has(voter)) {
+			votes.set(voter, vote);
+			
+			countVotes();
+		}
+	}
+	
+	return {
+		/**
+		 * Adds a voter, who starts out voting to resume the stream
+		 *
+		 * @returns {Object} a voter object with pause(), resume(), isPausing() and 
+		 *	remove() functions
+		 */
+		addVoter: () => {
+			const voter = {
+				pause: () => castVote(voter, true),
+				resume: () => castVote(voter, false),
+				isPausing: () => votes.get(voter) === true,
+				remove: () => {
+					votes.delete(voter);
+					
+					countVotes();
+				}
+			};
+			
+			votes.set(voter, false);
+			
+			countVotes();
+			
+			return voter;
+		}
+	};
+}
+
+module.exports = createPauseVote;
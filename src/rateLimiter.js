@@ -0,0 +1,105 @@
+/**
+ * Creates a token bucket rate limiter that limits how often the generator of a
+ * pausable stream is called. The bucket holds up to burst tokens and starts out full.
+ * Each call to the generator takes a token, and a token is added to the bucket every
+ * interval milliseconds until the bucket is full again.
+ *
+ * Tokens are only added while the limiter is running. The limiter is stopped while the
+ * stream is paused, so that time spent paused does not add any tokens to the bucket.
+ * When the limiter is stopped, any progress towards the next token is discarded.
+ *
+ * @param {Object} rateLimit - the rate limit options
+ * @param {number} rateLimit.interval - the number of milliseconds it takes to add a
+ *	token to the bucket. When the burst is 1, this is the fixed interval between calls
+ *	to the generator.
+ * @param {number} [rateLimit.burst] - the maximum number of tokens that the bucket
+ *	can hold, which is the maximum number of calls that can be made in a row without
+ *	waiting. This defaults to 1.
+ * @param {function} onTokenAdded - a function that is called with zero parameters
+ *	whenever a token has been added to the bucket
+ * @returns {Object} a rate limiter object
+ */
+function createRateLimiter(rateLimit, onTokenAdded) {
+	if(typeof rateLimit !== 'object' || rateLimit === null) {
+		throw new Error('the rate limit must be an object');
+	}
+	
+	const interval = rateLimit.interval;
+	const burst = rateLimit.burst === undefined ? 1 : rateLimit.burst;
+	
+	if(typeof interval !== 'number' || !(interval > 0) || !isFinite(interval)) {
+		throw new Error('the rate limit interval must be a positive number');
+	}
+	
+	if(!Number.isInteger(burst) || burst < 1) {
+		throw new Error('the rate limit burst must be a positive integer');
+	}
+	
+	//The number of tokens in the bucket
+	let tokens = burst;
+	
+	//Keep track of whether the limiter is running and the timer that adds the next token
+	let running = false;
+	let refillTimer = null;
+	
+	/**
+	 * Starts a timer that adds a token to the bucket if the limiter is running, the bucket
+	 * is not full and the timer isn't already running
+	 */
+	function refill() {
+		if(!running || tokens >= burst || refillTimer !== null) {
+			return;
+		}
+		
+		refillTimer = setTimeout(() => {
+			refillTimer = null;
+			tokens = tokens + 1;
+			
+			refill();
+			
+			onTokenAdded();
+		}, interval);
+	}
+	
+	return {
+		/**
+		 * Indicates whether there is a token available in the bucket
+		 *
+		 * @returns true if a token is available, otherwise false
+		 */
+		hasToken: () => tokens > 0,
+		
+		/**
+		 * Takes a token from the bucket
+		 */
+		takeToken: () => {
+			tokens = tokens - 1;
+			
+			refill();
+		},
+		
+		/**
+		 * Starts adding tokens to the bucket
+		 */
+		start: () => {
+			running = true;
+			
+			refill();
+		},
+		
+		/**
+		 * Stops adding tokens to the bucket
+		 */
+		stop: () => {
+			running = false;
+			
+			if(refillTimer !== null) {
+				clearTimeout(refillTimer);
+				
+				refillTimer = null;
+			}
+		}
+	};
+}
+
+module.exports = createRateLimiter;
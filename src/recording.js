@@ -0,0 +1,393 @@
+const Bacon = require('baconjs');
+const createPausableStream = require('./pausableStream');
+const { isEnd, isError, hasValue, getValue } = require('./baconEvents');
+const { yieldToEventLoop } = require('./scheduler');
+
+//The ways in which a recording can be replayed
+const replayTimings = ['fast', 'original'];
+
+//The options of replayRecording() that are not passed on to createPausableStream()
+const replayOptionNames = ['timing', 'clock', 'replayPauses'];
+
+//The clock that is used unless another clock is specified, which looks up the timer
+//functions when they are called, so that it works with fake timers
+const realClock = {
+	now: () => Date.now(),
+	setTimeout: (callback, delay) => setTimeout(callback, delay)
+};
+
+/**
+ * Records what a pausable stream emits, so that it can be replayed later without the
+ * stream's original data source. The recording contains an entry for each value,
+ * error and end of the stream, as well as for each time the stream was paused or
+ * resumed. Each entry has a type ('value', 'error', 'end', 'paused' or 'resumed') and
+ * the number of milliseconds since the recording started (time).
+ *
+ * Recording subscribes to the stream, so recording a stream that hasn't been
+ * subscribed to yet starts it. The values have to be serializable as JSON if the
+ * recording is to be saved as NDJSON. Errors are recorded with their name, message
+ * and stack.
+ *
+ * @param {Object} pausableStream - the pausable stream to be recorded
+ * @param {Object} [recordOptions] - the recording options
+ * @param {Object} [recordOptions.clock] - the clock that is used to measure time,
+ *	which has a now() function that returns the current time in milliseconds. This
+ *	defaults to a clock that uses Date.now().
+ * @returns {Object} a recording with an entries() function that gets the entries that
+ *	have been recorded so far, a toNDJSON() function that gets those entries as NDJSON,
+ *	a stop() function that stops recording and unsubscribes from the stream, and a
+ *	finished promise that resolves to the entries when the stream has ended or the
+ *	recording has been stopped
+ */
+function recordStream(pausableStream, recordOptions = {}) {
+	if(pausableStream === null || typeof pausableStream !== 'object' ||
+		typeof pausableStream.subscribe !== 'function' || !pausableStream.lifecycle) {
+		throw new Error('the stream is not a pausable stream');
+	}
+	
+	const { clock = realClock } = recordOptions;
+	
+	if(clock === null || typeof clock !== 'object' || typeof clock.now !== 'function') {
+		throw new Error('the clock must have a now() function');
+	}
+	
+	const startTime = clock.now();
+	const entries = [];
+	
+	let finish = null;
+	
+	const finished = new Promise(resolve => finish = () => resolve(entries.slice()));
+	
+	/**
+	 * Adds an entry to the recording
+	 *
+	 * @param {string} type - the type of entry
+	 * @param {Object} [details] - the properties that are specific to the type of entry
+	 */
+	function record(type, details) {
+		entries.push(Object.assign({ type, time: clock.now() - startTime }, details));
+	}
+	
+	if(pausableStream.isPaused()) {
+		record('paused');
+	}
+	
+	const unsubscribeLifecycle = pausableStream.lifecycle.onValue(lifecycleEvent => {
+		if(lifecycleEvent.type === 'paused' || lifecycleEvent.type === 'resumed') {
+			record(lifecycleEvent.type);
+		}
+	});
+	
+	//The subscription ends by itself when the stream ends
+	const unsubscribe = pausableStream.subscribe(event => {
+		if(isEnd(event)) {
+			record('end');
+			
+			unsubscribeLifecycle();
+			
+			finish();
+		}
+		else if(isError(event)) {
+			record('error', serializeError(event.error));
+		}
+		else if(hasValue(event)) {
+			record('value', { value: getValue(event) });
+		}
+	});
+	
+	/**
+	 * Stops recording, unsubscribing from the stream and its lifecycle events
+	 */
+	function stop() {
+		unsubscribeLifecycle();
+		unsubscribe();
+		
+		finish();
+	}
+	
+	return {
+		entries: () => entries.slice(),
+		toNDJSON: () => toNDJSON(entries),
+		stop,
+		finished
+	};
+}
+
+/**
+ * Creates a pausable stream that replays a recording made by recordStream(). The stream
+ * emits the recorded values, errors and end, and it can be paused and resumed like any
+ * other pausable stream.
+ *
+ * With the 'fast' timing, the entries are replayed as fast as possible. With the
+ * 'original' timing, the entries are replayed with the delays between them that were
+ * recorded, measured using the clock, which can be a virtual clock. Since the consumer
+ * pausing the stream while it is being replayed already delays the values, the time the
+ * recorded stream spent paused is left out, unless the recorded pauses are replayed.
+ *
+ * @param {Array.<Object>|string} recording - the recorded entries or the recording as
+ *	NDJSON
+ * @param {Object} [replayOptions] - the replay options. The options that are not listed
+ *	here are passed to createPausableStream().
+ * @param {string} [replayOptions.timing] - 'fast' or 'original'. This defaults to
+ *	'fast'.
+ * @param {Object} [replayOptions.clock] - the clock that is used to wait for the
+ *	original delays, which has a setTimeout(callback, delay) function. This defaults to
+ *	a clock that uses the global setTimeout().
+ * @param {boolean} [replayOptions.replayPauses] - controls whether the stream pauses
+ *	and resumes itself where the recorded stream was paused and resumed. This defaults
+ *	to false.
+ * @returns a pausable stream that replays the recording
+ */
+function replayRecording(recording, replayOptions = {}) {
+	const entries = typeof recording === 'string' ? parseNDJSON(recording) : recording;
+	
+	if(!Array.isArray(entries)) {
+		throw new Error('the recording must be an array of entries or an NDJSON string');
+	}
+	
+	const { timing = 'fast', clock = realClock, replayPauses = false } = replayOptions;
+	
+	if(replayTimings.indexOf(timing) === -1) {
+		throw new Error(`the replay timing must be one of: ${replayTimings.join(', ')}`);
+	}
+	
+	if(timing === 'original' && (clock === null || typeof clock !== 'object' ||
+		typeof clock.setTimeout !== 'function')) {
+		throw new Error('the clock must have a setTimeout() function');
+	}
+	
+	const streamOptions = Object.keys(replayOptions)
+		.filter(name => replayOptionNames.indexOf(name) === -1)
+		.reduce((options, name) => Object.assign(options, { [name]: replayOptions[name] }),
+			{});
+	
+	//Keep track of the next entry to be replayed, the time of the last entry that was
+	//replayed, the delay that has built up since the last value and whether the
+	//recorded stream was paused
+	let entryIndex = 0;
+	let lastTime = 0;
+	let pendingDelay = 0;
+	let recordedPaused = false;
+	
+	const replayStream = createPausableStream({ next: () => replayNextEntry() },
+		streamOptions);
+	
+	/**
+	 * Replays entries until an entry that the stream emits has been reached
+	 *
+	 * @returns {Object} the result object for the entry, or a promise that resolves to
+	 *	it when the entry has to wait for its original delay
+	 */
+	function replayNextEntry() {
+		while(entryIndex < entries.length) {
+			const entry = entries[entryIndex];
+			
+			entryIndex = entryIndex + 1;
+			
+			//Time spent paused only counts when the pauses are replayed
+			if(timing === 'original' && (replayPauses || !recordedPaused)) {
+				pendingDelay = pendingDelay + Math.max(0, entry.time - lastTime);
+			}
+			
+			lastTime = entry.time;
+			
+			if(entry.type === 'paused' || entry.type === 'resumed') {
+				recordedPaused = entry.type === 'paused';
+				
+				if(replayPauses) {
+					return waitForDelay(() => {
+						if(entry.type === 'paused') {
+							replayStream.pause();
+						}
+						else {
+							replayStream.resume();
+						}
+						
+						return replayNextEntry();
+					});
+				}
+			}
+			else {
+				return waitForDelay(() => toResult(entry));
+			}
+		}
+		
+		return { value: new Bacon.End(), done: true };
+	}
+	
+	/**
+	 * Calls a function after the delay that has built up, or right away if there
+	 * isn't any delay
+	 *
+	 * @param {function} func - the function to be called, which returns a result
+	 *	object or a promise
+	 * @returns {*} the value returned by the function, or a promise that resolves to
+	 *	it after the delay
+	 */
+	function waitForDelay(func) {
+		const delay = pendingDelay;
+		
+		pendingDelay = 0;
+		
+		if(delay === 0) {
+			return func();
+		}
+		
+		return new Promise(resolve => clock.setTimeout(resolve, delay)).then(func);
+	}
+	
+	return replayStream;
+}
+
+/**
+ * Creates a virtual clock, which only moves forward when it is told to. A virtual clock
+ * can be used to record a stream or to replay a recording with the original timing
+ * without having to wait for the delays.
+ *
+ * @param {number} [startTime] - the time at which the clock starts, which defaults to 0
+ * @returns {Object} a virtual clock with now(), setTimeout(callback, delay) and
+ *	clearTimeout(timerId) functions, and an advance(milliseconds) function that moves the
+ *	clock forward, running the timers that are due along the way, and returns a promise
+ *	that resolves when the clock has been moved forward
+ */
+function createVirtualClock(startTime = 0) {
+	let currentTime = startTime;
+	let timers = [];
+	let nextTimerId = 1;
+	
+	/**
+	 * Runs the timers that are due up to a time one at a time, giving the callbacks and
+	 * any promises that they resolve a chance to run and set more timers in between
+	 *
+	 * @param {number} targetTime - the time that the clock is moving towards
+	 * @returns {Object} a promise that resolves when the clock has reached the time
+	 */
+	function runTimersUntil(targetTime) {
+		return new Promise(resolve => yieldToEventLoop(resolve))
+			.then(() => {
+				const dueTimers = timers.filter(timer => timer.time <= targetTime);
+				
+				if(dueTimers.length === 0) {
+					currentTime = targetTime;
+					
+					return;
+				}
+				
+				//Run the timer that is due first, with timers that are due at the same
+				//time running in the order in which they were set
+				const nextTimer = dueTimers.reduce((earliestTimer, timer) =>
+					timer.time < earliestTimer.time ? timer : earliestTimer);
+				
+				timers = timers.filter(timer => timer !== nextTimer);
+				currentTime = nextTimer.time;
+				
+				nextTimer.callback();
+				
+				return runTimersUntil(targetTime);
+			});
+	}
+	
+	return {
+		now: () => currentTime,
+		setTimeout: (callback, delay = 0) => {
+			const timerId = nextTimerId;
+			
+			nextTimerId = nextTimerId + 1;
+			
+			timers.push({ id: timerId, time: currentTime + Math.max(0, delay), callback });
+			
+			return timerId;
+		},
+		clearTimeout: timerId => {
+			timers = timers.filter(timer => timer.id !== timerId);
+		},
+		advance: milliseconds => {
+			if(typeof milliseconds !== 'number' || !(milliseconds >= 0)) {
+				return Promise.reject(new Error('the clock can only be moved forward'));
+			}
+			
+			return runTimersUntil(currentTime + milliseconds);
+		}
+	};
+}
+
+/**
+ * Converts recorded entries to NDJSON, with one entry per line
+ *
+ * @param {Array.<Object>} entries - the recorded entries
+ * @returns {string} the entries as NDJSON
+ */
+function toNDJSON(entries) {
+	return entries.map(entry => JSON.stringify(entry) + '\n').join('');
+}
+
+/**
+ * Parses recorded entries from NDJSON, ignoring empty lines
+ *
+ * @param {string} ndjson - the entries as NDJSON
+ * @returns {Array.<Object>} the recorded entries
+ */
+function parseNDJSON(ndjson) {
+	return ndjson.split('\n')
+		.filter(line => line.trim() !== '')
+		.map(line => JSON.parse(line));
+}
+
+/**
+ * Gets the properties of an error entry. An Error object is recorded with its name,
+ * message and stack, and any other value that was emitted as an error is recorded as
+ * it is.
+ *
+ * @param {*} error - the error emitted by the stream
+ * @returns {Object} the properties of the error entry
+ */
+function serializeError(error) {
+	if(error instanceof Error) {
+		return { error: { name: error.name, message: error.message, stack: error.stack } };
+	}
+	
+	return { value: error };
+}
+
+/**
+ * Creates the result object that replays an entry
+ *
+ * @param {Object} entry - the entry to be replayed
+ * @returns {Object} the result object
+ */
+function toResult(entry) {
+	if(entry.type === 'end') {
+		return { value: new Bacon.End(), done: true };
+	}
+	
+	if(entry.type === 'error') {
+		return { value: new Bacon.Error(entry.error ? deserializeError(entry.error) :
+			entry.value), done: false };
+	}
+	
+	return { value: entry.value, done: false };
+}
+
+/**
+ * Recreates an Error object that was recorded
+ *
+ * @param {Object} recordedError - the name, message and stack of the error
+ * @returns {Object} the Error object
+ */
+function deserializeError(recordedError) {
+	const error = new Error(recordedError.message);
+	
+	error.name = recordedError.name;
+	
+	if(recordedError.stack !== undefined) {
+		error.stack = recordedError.stack;
+	}
+	
+	return error;
+}
+
+module.exports = {
+	recordStream,
+	replayRecording,
+	createVirtualClock
+};
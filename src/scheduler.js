@@ -0,0 +1,357 @@
+const createRateLimiter = require('./rateLimiter');
+const isPromise = require('./isPromise');
+
+//The policies that decide which stream gets to generate the next value
+const schedulingPolicies = ['round-robin', 'priority'];
+
+/**
+ * Creates a scheduler that can be shared by many pausable streams, so that they take
+ * turns generating values instead of each stream running its own chain of microtasks,
+ * where a fast generator can crowd out the rest.
+ *
+ * A stream uses the scheduler by passing the function returned by register() as its
+ * scheduler option. The scheduler runs the tasks of the registered streams one at a
+ * time. With the 'round-robin' policy, the streams take turns, and with the 'priority'
+ * policy, the stream with the highest priority goes first, and streams with the same
+ * priority take turns.
+ *
+ * A task that generates a value asynchronously keeps running until the promise it
+ * returns has settled. The concurrency option limits how many tasks can be running at
+ * the same time, and the rateLimit option limits how often tasks are started, using a
+ * token bucket that is shared by all the streams.
+ *
+ * Streams can be registered in groups, which can be paused and resumed together. The
+ * streams in a paused group are paused themselves, so a value that is being generated
+ * is held until the group has been resumed, and any tasks that are still waiting wait
+ * until then as well. Resuming a group doesn't resume a stream that its owner has
+ * paused.
+ *
+ * @param {Object} [schedulerOptions] - the scheduler options
+ * @param {string} [schedulerOptions.policy] - the policy that decides which stream goes
+ *	next: 'round-robin' or 'priority'. This defaults to 'round-robin'.
+ * @param {number} [schedulerOptions.concurrency] - the maximum number of tasks that can
+ *	be running at the same time. This defaults to Infinity.
+ * @param {Object} [schedulerOptions.rateLimit] - limits how often tasks are started,
+ *	where a token is added every rateLimit.interval milliseconds and the bucket holds up
+ *	to rateLimit.burst tokens (which defaults to 1). This defaults to null.
+ * @param {number} [schedulerOptions.yieldEvery] - the number of tasks that are run in a
+ *	row before yielding to the macrotask queue. This defaults to 1000.
+ * @returns {Object} a scheduler object
+ */
+function createScheduler(schedulerOptions = {}) {
+	const {
+		policy = 'round-robin',
+		concurrency = Infinity,
+		rateLimit = null,
+		yieldEvery = 1000
+	} = schedulerOptions;
+	
+	if(schedulingPolicies.indexOf(policy) === -1) {
+		throw new Error(`the scheduling policy must be one of: ${schedulingPolicies.join(', ')}`);
+	}
+	
+	if(concurrency !== Infinity && (!Number.isInteger(concurrency) || concurrency < 1)) {
+		throw new Error('the concurrency must be a positive integer');
+	}
+	
+	if(typeof yieldEvery !== 'number' || !(yieldEvery >= 1)) {
+		throw new Error('the number of tasks between yields must be a positive number');
+	}
+	
+	const rateLimiter = rateLimit !== null ?
+		createRateLimiter(rateLimit, () => scheduleDispatch()) :
+		null;
+	
+	if(rateLimiter !== null) {
+		rateLimiter.start();
+	}
+	
+	//The registered streams that have tasks waiting to be run, in the order in which
+	//they get their turn
+	const waitingRegistrations = [];
+	
+	//The groups that have been paused, and the listeners that are called with the
+	//pause state of a group whenever it changes, by group
+	const pausedGroups = new Set();
+	const groupListeners = new Map();
+	
+	//Keep track of the number of tasks that are running and whether a dispatch of the
+	//waiting tasks has been scheduled
+	let runningCount = 0;
+	let dispatchScheduled = false;
+	
+	/**
+	 * Schedules the waiting tasks to be run, unless that has already been scheduled
+	 */
+	function scheduleDispatch() {
+		if(dispatchScheduled) {
+			return;
+		}
+		
+		dispatchScheduled = true;
+		
+		Promise.resolve().then(dispatch);
+	}
+	
+	/**
+	 * Runs waiting tasks until there are no more tasks that can be run, yielding to the
+	 * macrotask queue every so often so that other work in the event loop gets a turn
+	 */
+	function dispatch() {
+		let dispatchCount = 0;
+		
+		try {
+			while(canRunTask()) {
+				if(dispatchCount >= yieldEvery) {
+					yieldToEventLoop(dispatch);
+					
+					return;
+				}
+				
+				const registration = nextRegistration();
+				
+				if(registration === null) {
+					break;
+				}
+				
+				const task = registration.tasks.shift();
+				
+				//A stream that still has tasks waiting has its next turn after the others
+				if(registration.tasks.length > 0) {
+					waitingRegistrations.push(registration);
+				}
+				
+				runTask(task);
+				
+				dispatchCount = dispatchCount + 1;
+			}
+		}
+		catch(error) {
+			//Carry on with the tasks of the other streams before reporting the error
+			dispatchScheduled = false;
+			
+			scheduleDispatch();
+			
+			throw error;
+		}
+		
+		dispatchScheduled = false;
+	}
+	
+	/**
+	 * Calls the listeners of a group with the pause state of the group
+	 *
+	 * @param {string} group - the name of the group
+	 * @param {boolean} groupPaused - whether the group has been paused
+	 */
+	function notifyGroupListeners(group, groupPaused) {
+		const listeners = groupListeners.has(group) ? 
+			Array.from(groupListeners.get(group)) : 
+			[];
+		
+		listeners.forEach(listener => listener(groupPaused));
+	}
+	
+	/**
+	 * Indicates whether the concurrency and the rate limit allow another task to be run
+	 *
+	 * @returns true if a task can be run, otherwise false
+	 */
+	function canRunTask() {
+		return runningCount < concurrency && (rateLimiter === null || rateLimiter.hasToken());
+	}
+	
+	/**
+	 * Removes the registration whose task is to be run next from the waiting
+	 * registrations, skipping the registrations in paused groups
+	 *
+	 * @returns {Object} the registration, or null if no task can be run
+	 */
+	function nextRegistration() {
+		let nextIndex = -1;
+		
+		waitingRegistrations.forEach((registration, index) => {
+			if(pausedGroups.has(registration.group)) {
+				return;
+			}
+			
+			if(nextIndex === -1 || (policy === 'priority' &&
+				registration.priority > waitingRegistrations[nextIndex].priority)) {
+				nextIndex = index;
+			}
+		});
+		
+		return nextIndex !== -1 ? waitingRegistrations.splice(nextIndex, 1)[0] : null;
+	}
+	
+	/**
+	 * Runs a task, counting it as running until the promise it returns has settled
+	 *
+	 * @param {function} task - the task to be run
+	 */
+	function runTask(task) {
+		if(rateLimiter !== null) {
+			rateLimiter.takeToken();
+		}
+		
+		runningCount = runningCount + 1;
+		
+		let result;
+		
+		try {
+			result = task();
+		}
+		catch(error) {
+			taskFinished();
+			
+			throw error;
+		}
+		
+		if(isPromise(result)) {
+			result.then(taskFinished, taskFinished);
+		}
+		else {
+			taskFinished();
+		}
+	}
+	
+	/**
+	 * Indicates that a task has finished running, so that another task can be run
+	 */
+	function taskFinished() {
+		runningCount = runningCount - 1;
+		
+		scheduleDispatch();
+	}
+	
+	return {
+		/**
+		 * Registers a stream with the scheduler
+		 *
+		 * @param {Object} [registrationOptions] - the registration options
+		 * @param {number} [registrationOptions.priority] - the priority of the stream,
+		 *	where streams with a higher priority go first when the 'priority' policy is
+		 *	used. This defaults to 0.
+		 * @param {string} [registrationOptions.group] - the name of the group that the
+		 *	stream belongs to. This defaults to null, which means that the stream does
+		 *	not belong to a group.
+		 * @returns {function} a function that is passed to a pausable stream as its
+		 *	scheduler option, and which has an onGroupPause(listener) function that the
+		 *	stream uses to follow the pauses of its group
+		 */
+		register: (registrationOptions = {}) => {
+			const { priority = 0, group = null } = registrationOptions;
+			
+			if(typeof priority !== 'number' || isNaN(priority)) {
+				throw new Error('the priority must be a number');
+			}
+			
+			if(group !== null && typeof group !== 'string') {
+				throw new Error('the group must be a string');
+			}
+			
+			const registration = { priority, group, tasks: [] };
+			
+			const scheduleTask = task => {
+				registration.tasks.push(task);
+				
+				if(registration.tasks.length === 1) {
+					waitingRegistrations.push(registration);
+				}
+				
+				scheduleDispatch();
+			};
+			
+			//Call the listener with the pause state of the group whenever it changes,
+			//and right away if the group has already been paused. This returns a 
+			//function that removes the listener.
+			scheduleTask.onGroupPause = listener => {
+				if(group === null) {
+					return () => {};
+				}
+				
+				if(!groupListeners.has(group)) {
+					groupListeners.set(group, new Set());
+				}
+				
+				const listeners = groupListeners.get(group);
+				
+				listeners.add(listener);
+				
+				if(pausedGroups.has(group)) {
+					listener(true);
+				}
+				
+				return () => {
+					listeners.delete(listener);
+				};
+			};
+			
+			return scheduleTask;
+		},
+		
+		/**
+		 * Pauses a group, which pauses the streams in the group and makes their tasks
+		 * wait until the group has been resumed
+		 *
+		 * @param {string} group - the name of the group
+		 */
+		pauseGroup: group => {
+			if(!pausedGroups.has(group)) {
+				pausedGroups.add(group);
+				
+				notifyGroupListeners(group, true);
+			}
+		},
+		
+		/**
+		 * Resumes a group that has been paused, which resumes the streams in the group
+		 * unless they have been paused for another reason
+		 *
+		 * @param {string} group - the name of the group
+		 */
+		resumeGroup: group => {
+			if(pausedGroups.delete(group)) {
+				notifyGroupListeners(group, false);
+				
+				scheduleDispatch();
+			}
+		},
+		
+		/**
+		 * Indicates whether a group has been paused
+		 *
+		 * @param {string} group - the name of the group
+		 * @returns true if the group has been paused, otherwise false
+		 */
+		isGroupPaused: group => pausedGroups.has(group),
+		
+		/**
+		 * Gets the number of tasks that are waiting to be run
+		 *
+		 * @returns {number} the number of waiting tasks
+		 */
+		waitingCount: () => waitingRegistrations
+			.reduce((count, registration) => count + registration.tasks.length, 0)
+	};
+}
+
+/**
+ * Runs a task as a macrotask, after any pending timers and I/O callbacks have
+ * had a chance to run
+ *
+ * @param {function} task - the task to be run
+ */
+function yieldToEventLoop(task) {
+	if(typeof setImmediate === 'function') {
+		setImmediate(task);
+	}
+	else {
+		setTimeout(task, 0);
+	}
+}
+
+module.exports = {
+	createScheduler,
+	yieldToEventLoop
+};
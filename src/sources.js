@@ -0,0 +1,194 @@
+const Bacon = require('baconjs');
+const createPausableStream = require('./pausableStream');
+const isPromise = require('./isPromise');
+const endWithBaconEnd = require('./endWithBaconEnd');
+
+/**
+ * Creates a pausable stream that emits the values of an iterable, such as an array, a
+ * Map, a Set or an async iterable. The stream ends after the last value, and unlike a
+ * generator's return value, the iterator's return value is not emitted.
+ *
+ * @param {Object} iterable - the iterable or async iterable whose values are emitted
+ * @param {Object|boolean} [options] - the options that are passed to
+ *	createPausableStream()
+ * @returns a pausable stream that emits the values of the iterable
+ */
+function fromIterable(iterable, options = {}) {
+	if(iterable === null || iterable === undefined) {
+		throw new Error('the iterable is not iterable');
+	}
+	
+	if(typeof iterable[Symbol.asyncIterator] === 'function') {
+		return createPausableStream(endWithBaconEnd(iterable[Symbol.asyncIterator]()),
+			options);
+	}
+	
+	if(typeof iterable[Symbol.iterator] === 'function') {
+		return createPausableStream(endWithBaconEnd(iterable[Symbol.iterator]()), options);
+	}
+	
+	throw new Error('the iterable is not iterable');
+}
+
+/**
+ * Creates a pausable stream that emits a range of numbers, starting with the start
+ * number and counting up (or down) by the step until the end number has been reached.
+ * The end number itself is not emitted. The end can be Infinity, in which case the
+ * stream never ends by itself.
+ *
+ * @param {number} start - the first number in the range
+ * @param {number} end - the number at which the range ends
+ * @param {number} [step] - the difference between one number and the next, which
+ *	defaults to 1. A step that doesn't move towards the end results in an empty range.
+ * @param {Object|boolean} [options] - the options that are passed to
+ *	createPausableStream()
+ * @returns a pausable stream that emits the numbers in the range
+ */
+function range(start, end, step = 1, options = {}) {
+	if(typeof start !== 'number' || !isFinite(start)) {
+		throw new Error('the start of the range must be a finite number');
+	}
+	
+	if(typeof end !== 'number' || isNaN(end)) {
+		throw new Error('the end of the range must be a number');
+	}
+	
+	if(typeof step !== 'number' || !isFinite(step) || step === 0) {
+		throw new Error('the step of the range must be a non-zero finite number');
+	}
+	
+	return createPausableStream(generateRange(start, end, step), options);
+}
+
+/**
+ * Creates a pausable stream that emits the same value a number of times
+ *
+ * @param {*} value - the value to be emitted
+ * @param {number} [count] - the number of times the value is emitted, which defaults
+ *	to Infinity
+ * @param {Object|boolean} [options] - the options that are passed to
+ *	createPausableStream()
+ * @returns a pausable stream that emits the value
+ */
+function repeat(value, count = Infinity, options = {}) {
+	if(count !== Infinity && (!Number.isInteger(count) || count < 0)) {
+		throw new Error('the number of repetitions must be a non-negative integer');
+	}
+	
+	return createPausableStream(generateRepetitions(value, count), options);
+}
+
+/**
+ * Creates a pausable stream that gets each value by calling a pull function, which
+ * adapts pull-style APIs, such as a fetchPage(cursor) function, to a pausable stream.
+ *
+ * The pull function is called with the input for the next value, which is the value
+ * passed using send() or returned by the nextInput option and can be used as a cursor.
+ * It provides the next value by returning the value or a promise that resolves to the
+ * value. The stream ends when the value is Bacon.End.
+ *
+ * @param {function} pull - the function that is called to get each value
+ * @param {Object|boolean} [options] - the options that are passed to
+ *	createPausableStream()
+ * @returns a pausable stream that emits the values provided by the pull function
+ */
+function fromPullFunction(pull, options = {}) {
+	if(typeof pull !== 'function') {
+		throw new Error('the pull function must be a function');
+	}
+	
+	return createPausableStream({
+		next: input => {
+			const value = pull(input);
+			
+			return isPromise(value) ? value.then(toResult) : toResult(value);
+		}
+	}, options);
+}
+
+/**
+ * Creates a pausable stream that gets each value by calling a pull function that takes a
+ * Node.js-style callback, which adapts callback-based APIs, such as a read(callback)
+ * function, to a pausable stream.
+ *
+ * The pull function is called with the input for the next value and a callback, which
+ * it calls with an error or the value. Its return value is ignored. The stream ends 
+ * when the value is Bacon.End.
+ *
+ * @param {function} pull - the function that is called to get each value
+ * @param {Object|boolean} [options] - the options that are passed to
+ *	createPausableStream()
+ * @returns a pausable stream that emits the values provided by the pull function
+ */
+function fromCallbackPullFunction(pull, options = {}) {
+	if(typeof pull !== 'function') {
+		throw new Error('the pull function must be a function');
+	}
+	
+	return createPausableStream({
+		next: input => new Promise((resolve, reject) => {
+			pull(input, (error, value) => {
+				if(error !== null && error !== undefined) {
+					reject(error);
+				}
+				else {
+					resolve(toResult(value));
+				}
+			});
+		})
+	}, options);
+}
+
+/**
+ * Generates the numbers in a range
+ *
+ * @param {number} start - the first number in the range
+ * @param {number} end - the number at which the range ends
+ * @param {number} step - the difference between one number and the next
+ */
+function* generateRange(start, end, step) {
+	//Calculate each number from the start, so that rounding errors don't add up
+	for(let index = 0; ; index++) {
+		const number = start + index * step;
+		
+		if(step > 0 ? number >= end : number <= end) {
+			break;
+		}
+		
+		yield number;
+	}
+	
+	return new Bacon.End();
+}
+
+/**
+ * Generates the same value a number of times
+ *
+ * @param {*} value - the value to be generated
+ * @param {number} count - the number of times the value is generated
+ */
+function* generateRepetitions(value, count) {
+	for(let index = 0; index < count; index++) {
+		yield value;
+	}
+	
+	return new Bacon.End();
+}
+
+/**
+ * Creates the result object for a value provided by a pull function
+ *
+ * @param {*} value - the value provided by the pull function
+ * @returns {Object} the result object
+ */
+function toResult(value) {
+	return { value, done: false };
+}
+
+module.exports = {
+	fromIterable,
+	range,
+	repeat,
+	fromPullFunction,
+	fromCallbackPullFunction
+};
@@ -0,0 +1,171 @@
+//The number of recent calls to the generator that the 95th percentile of the call 
+//duration is calculated from
+const recentCallLimit = 1000;
+
+/**
+ * Creates a stats collector, which measures the throughput of a pausable stream, the
+ * time it has spent paused and how long the calls to the generator take.
+ *
+ * The collector starts measuring when it is created. Time is measured in milliseconds
+ * using the clock function, which defaults to performance.now() where it is available
+ * and Date.now() elsewhere.
+ *
+ * @param {function} [now] - a function that is called with zero parameters and returns
+ *	the current time in milliseconds
+ * @returns {Object} a stats collector object
+ */
+function createStatsCollector(now = defaultClock) {
+	if(typeof now !== 'function') {
+		throw new Error('the stats clock must be a function');
+	}
+	
+	//The time at which the collector was created and the time at which the stream
+	//ended, which is null while the stream has not ended
+	const startTime = now();
+	let endTime = null;
+	
+	let itemsEmitted = 0;
+	
+	//The time at which the current pause started, which is null when the stream
+	//isn't paused, the total time spent in pauses that have ended and the number
+	//of times the stream has been paused
+	let pauseStartTime = null;
+	let pastPausedTime = 0;
+	let pauseCycles = 0;
+	
+	//The number of calls that have been made to the generator, their total duration,
+	//and the durations of the most recent calls, which is kept as a ring buffer
+	let callCount = 0;
+	let totalCallDuration = 0;
+	const recentCallDurations = [];
+	
+	/**
+	 * Gets the current time, which stops when the stream has ended
+	 *
+	 * @returns {number} the current time
+	 */
+	function currentTime() {
+		return endTime !== null ? endTime : now();
+	}
+	
+	/**
+	 * Gets the duration of the current pause
+	 *
+	 * @returns {number} the number of milliseconds the stream has been paused, or 0
+	 *	if the stream isn't paused
+	 */
+	function getCurrentPausedTime() {
+		return pauseStartTime !== null ? currentTime() - pauseStartTime : 0;
+	}
+	
+	/**
+	 * Records how long a call to the generator took
+	 *
+	 * @param {number} duration - the duration of the call
+	 */
+	function recordCall(duration) {
+		recentCallDurations[callCount % recentCallLimit] = duration;
+		
+		callCount = callCount + 1;
+		totalCallDuration = totalCallDuration + duration;
+	}
+	
+	return {
+		/**
+		 * Records that the stream has been paused
+		 */
+		paused: () => {
+			if(pauseStartTime === null) {
+				pauseStartTime = currentTime();
+				pauseCycles = pauseCycles + 1;
+			}
+		},
+		
+		/**
+		 * Records that the stream has been resumed
+		 */
+		resumed: () => {
+			pastPausedTime = pastPausedTime + getCurrentPausedTime();
+			pauseStartTime = null;
+		},
+		
+		/**
+		 * Records that the stream has ended, which stops the clock
+		 */
+		ended: () => {
+			if(endTime === null) {
+				endTime = now();
+			}
+		},
+		
+		/**
+		 * Records that an item has been emitted
+		 */
+		itemEmitted: () => {
+			itemsEmitted = itemsEmitted + 1;
+		},
+		
+		/**
+		 * Starts timing a call to the generator
+		 *
+		 * @returns {function} a function to be called with zero parameters when the 
+		 *	call has completed
+		 */
+		timeCall: () => {
+			const callStartTime = now();
+			
+			return () => recordCall(now() - callStartTime);
+		},
+		
+		/**
+		 * Gets the current stats
+		 *
+		 * @returns {Object} an object containing the stats
+		 */
+		getStats: () => {
+			const currentPausedTime = getCurrentPausedTime();
+			const timePaused = pastPausedTime + currentPausedTime;
+			const activeTime = currentTime() - startTime - timePaused;
+			
+			return {
+				itemsEmitted,
+				timePaused,
+				currentPausedTime,
+				pauseCycles,
+				averageNextDuration: callCount > 0 ? totalCallDuration / callCount : 0,
+				p95NextDuration: percentile(recentCallDurations, 0.95),
+				itemsPerSecond: activeTime > 0 ? itemsEmitted / (activeTime / 1000) : 0
+			};
+		}
+	};
+}
+
+/**
+ * Gets the current time in milliseconds, using a high-resolution clock if one is
+ * available
+ *
+ * @returns {number} the current time
+ */
+function defaultClock() {
+	return typeof performance !== 'undefined' && typeof performance.now === 'function' ?
+		performance.now() : Date.now();
+}
+
+/**
+ * Calculates a percentile of a set of numbers using the nearest-rank method
+ *
+ * @param {Array.<number>} numbers - the numbers
+ * @param {number} fraction - the percentile as a fraction between 0 and 1
+ * @returns {number} the percentile, or 0 if there are no numbers
+ */
+function percentile(numbers, fraction) {
+	if(numbers.length === 0) {
+		return 0;
+	}
+	
+	const sortedNumbers = numbers.slice().sort((a, b) => a - b);
+	
+	return sortedNumbers[Math.ceil(fraction * sortedNumbers.length) - 1];
+}
+
+module.exports = createStatsCollector;
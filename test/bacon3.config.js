@@ -0,0 +1,12 @@
+//Runs the tests again with Bacon 3, which is installed under the name baconjs3, in
+//place of the Bacon version that the library is developed with
+module.exports = {
+	displayName: 'bacon 3',
+	rootDir: '..',
+	moduleNameMapper: {
+		'^baconjs$': 'baconjs3'
+	},
+	//The ES module entry point is run in a separate Node.js process, which can't use
+	//the module name mapping
+	testPathIgnorePatterns: ['/node_modules/', '/test/esm.test.js']
+};
@@ -0,0 +1,75 @@
+const Bacon = require('baconjs');
+
+describe('testing the examination of Bacon events,', () => {
+	jest.resetModules();
+	
+	const { isEvent, isEnd, isError, hasValue, getValue, createNext } = 
+		require('../src/baconEvents');
+	
+	test('Bacon events are recognized as events', () => {
+		expect(isEvent(new Bacon.Next(1))).toBe(true);
+		expect(isEvent(new Bacon.End())).toBe(true);
+		expect(isEvent(new Bacon.Error('error'))).toBe(true);
+		
+		expect(isEvent(1)).toBe(false);
+		expect(isEvent(null)).toBe(false);
+		expect(isEvent({ isEnd: () => true })).toBe(false);
+	});
+	
+	test('Bacon 1 events are examined using their functions', () => {
+		expect(isEnd(new Bacon.End())).toBe(true);
+		expect(isEnd(new Bacon.Next(1))).toBe(false);
+		expect(isError(new Bacon.Error('error'))).toBe(true);
+		expect(isError(new Bacon.Next(1))).toBe(false);
+		expect(hasValue(new Bacon.Next(1))).toBe(true);
+		expect(hasValue(new Bacon.End())).toBe(false);
+		expect(getValue(new Bacon.Next(1))).toBe(1);
+	});
+	
+	test('events with the properties of Bacon 2 and 3 events are examined using them', () => {
+		const nextEvent = createBacon3Event({ hasValue: true, isNext: true, value: 1 });
+		const endEvent = createBacon3Event({ isEnd: true });
+		const errorEvent = createBacon3Event({ isError: true, error: 'error' });
+		
+		expect(isEnd(endEvent)).toBe(true);
+		expect(isEnd(nextEvent)).toBe(false);
+		expect(isError(errorEvent)).toBe(true);
+		expect(isError(nextEvent)).toBe(false);
+		expect(hasValue(nextEvent)).toBe(true);
+		expect(hasValue(endEvent)).toBe(false);
+		expect(getValue(nextEvent)).toBe(1);
+	});
+	
+	test('a function value of a Bacon 2 or 3 event is not called', () => {
+		const value = () => 'called';
+		
+		expect(getValue(createBacon3Event({ hasValue: true, value }))).toBe(value);
+	});
+	
+	test('a next event is created with a function as its value', () => {
+		const value = () => 'called';
+		
+		const nextEvent = createNext(value);
+		
+		expect(hasValue(nextEvent)).toBe(true);
+		expect(getValue(nextEvent)).toBe(value);
+	});
+	
+	/**
+	 * Creates an object that looks like a Bacon 2 or 3 event, where the flags and the
+	 * value are properties
+	 *
+	 * @param {Object} properties - the properties of the event
+	 * @returns {Object} the event
+	 */
+	function createBacon3Event(properties) {
+		return Object.assign({
+			_isEvent: true,
+			isEnd: false,
+			isError: false,
+			isNext: false,
+			isInitial: false,
+			hasValue: false
+		}, properties);
+	}
+});
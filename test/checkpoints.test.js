@@ -0,0 +1,215 @@
+const _ = require('lodash');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { collectData, flushMicrotasks, generateTestData } = require('./helpers/testStreams');
+
+describe('testing checkpoints,', () => {
+	jest.resetModules();
+	
+	const createPausableStream = require('../src/index');
+	const { createMemoryCheckpointStore, createFileCheckpointStore, 
+		resumeFromCheckpoint } = createPausableStream;
+	
+	test('a checkpoint is saved when the stream ends', () => {
+		const store = createMemoryCheckpointStore();
+		
+		const pausableStream = createPausableStream(generateTestData(_.range(5)), 
+			{ checkpoint: { store, key: 'numbers' } });
+		
+		return collectData(pausableStream)
+			.then(() => flushMicrotasks())
+			.then(() => store.load('numbers'))
+			.then(checkpoint => expect(checkpoint).toEqual({ 
+				itemCount: 5, 
+				position: 5, 
+				completed: true 
+			}));
+	});
+	
+	test('a checkpoint is saved when the stream is paused', () => {
+		const store = createMemoryCheckpointStore();
+		
+		return new Promise((resolve, reject) => {
+			const pausableStream = createPausableStream(generateTestData(_.range(10)), 
+				{ checkpoint: { store, key: 'numbers' } });
+			
+			pausableStream.onError(error => reject(error));
+			pausableStream.onValue(data => {
+				if(data === 2) {
+					pausableStream.pause();
+					
+					flushMicrotasks()
+						.then(() => store.load('numbers'))
+						.then(resolve, reject);
+				}
+			});
+		})
+		.then(checkpoint => expect(checkpoint).toEqual({ 
+			itemCount: 3, 
+			position: 3, 
+			completed: false 
+		}));
+	});
+	
+	test('a checkpoint is saved after every N items', () => {
+		const savedCheckpoints = [];
+		const store = createMemoryCheckpointStore();
+		const save = store.save;
+		
+		store.save = (key, checkpoint) => {
+			savedCheckpoints.push(checkpoint);
+			
+			return save(key, checkpoint);
+		};
+		
+		const pausableStream = createPausableStream(generateTestData(_.range(10)), 
+			{ checkpoint: { store, key: 'numbers', every: 4 } });
+		
+		return collectData(pausableStream)
+			.then(() => flushMicrotasks())
+			.then(() => expect(savedCheckpoints.map(checkpoint => checkpoint.itemCount))
+				.toEqual([4, 8, 10]));
+	});
+	
+	test('the position of a checkpoint can be customized', () => {
+		const store = createMemoryCheckpointStore();
+		
+		const pausableStream = createPausableStream(
+			generateTestData(['a', 'b', 'c']), 
+			{ checkpoint: { store, key: 'letters', position: value => `after ${value}` } });
+		
+		return collectData(pausableStream)
+			.then(() => flushMicrotasks())
+			.then(() => store.load('letters'))
+			.then(checkpoint => expect(checkpoint.position).toBe('after c'));
+	});
+	
+	test('a checkpoint can be saved on request', () => {
+		const store = createMemoryCheckpointStore();
+		
+		const pausableStream = createPausableStream(generateTestData(_.range(10)), 
+			{ initiallyPaused: true, checkpoint: { store, key: 'numbers' } });
+		
+		return pausableStream.saveCheckpoint()
+			.then(() => store.load('numbers'))
+			.then(checkpoint => expect(checkpoint).toEqual({ 
+				itemCount: 0, 
+				position: 0, 
+				completed: false 
+			}));
+	});
+	
+	test('saving a checkpoint on request is rejected when checkpoints are not ' +
+		'configured', () => {
+		const pausableStream = createPausableStream(generateTestData(_.range(10)), true);
+		
+		expect.assertions(1);
+		
+		return pausableStream.saveCheckpoint()
+			.catch(error => expect(error).toBeInstanceOf(Error));
+	});
+	
+	test('a stream rebuilt from a checkpoint continues where it left off', () => {
+		const store = createMemoryCheckpointStore();
+		const options = { checkpoint: { store, key: 'numbers' } };
+		const createGenerator = checkpoint => 
+			generateTestData(_.range(checkpoint !== null ? checkpoint.position : 0, 10));
+		
+		return store.save('numbers', { itemCount: 6, position: 6, completed: false })
+			.then(() => resumeFromCheckpoint(createGenerator, options))
+			.then(pausableStream => collectData(pausableStream))
+			.then(actualData => expect(actualData).toEqual(_.range(6, 10)))
+			.then(() => flushMicrotasks())
+			.then(() => store.load('numbers'))
+			.then(checkpoint => expect(checkpoint).toEqual({ 
+				itemCount: 10, 
+				position: 10, 
+				completed: true 
+			}));
+	});
+	
+	test('a stream is started from the beginning when there is no checkpoint', () => {
+		const store = createMemoryCheckpointStore();
+		const createGenerator = jest.fn(() => generateTestData(_.range(3)));
+		
+		return resumeFromCheckpoint(createGenerator, { checkpoint: { store, key: 'numbers' } })
+			.then(pausableStream => collectData(pausableStream))
+			.then(actualData => {
+				expect(createGenerator).toHaveBeenCalledWith(null);
+				expect(actualData).toEqual(_.range(3));
+			});
+	});
+	
+	test('a checkpoint that failed to save is emitted as an error', () => {
+		const store = {
+			save: () => Promise.reject(new Error('the disk is full')),
+			load: () => Promise.resolve(null)
+		};
+		
+		return new Promise((resolve, reject) => {
+			const pausableStream = createPausableStream(generateTestData(_.range(10)), 
+				{ errorPolicy: 'continue', checkpoint: { store, key: 'numbers', every: 2 } });
+			
+			pausableStream.onError(error => {
+				pausableStream.pause();
+				
+				resolve(error);
+			});
+			pausableStream.onEnd(() => reject(new Error('no error was emitted')));
+		})
+		.then(error => expect(error.message).toBe('the disk is full'));
+	});
+	
+	test('a file checkpoint store saves and loads checkpoints', () => {
+		const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoints-'));
+		const filePath = path.join(directory, 'checkpoints.json');
+		
+		const store = createFileCheckpointStore(filePath);
+		
+		return store.load('numbers')
+			.then(checkpoint => expect(checkpoint).toBe(null))
+			.then(() => Promise.all([
+				store.save('numbers', { itemCount: 1, position: 1, completed: false }),
+				store.save('letters', { itemCount: 2, position: 'b', completed: false }),
+				store.save('numbers', { itemCount: 3, position: 3, completed: true })
+			]))
+			.then(() => createFileCheckpointStore(filePath).load('numbers'))
+			.then(checkpoint => expect(checkpoint).toEqual({ 
+				itemCount: 3, 
+				position: 3, 
+				completed: true 
+			}))
+			.then(() => store.remove('numbers'))
+			.then(() => store.load('numbers'))
+			.then(checkpoint => expect(checkpoint).toBe(null))
+			.then(() => store.load('letters'))
+			.then(checkpoint => expect(checkpoint.position).toBe('b'));
+	});
+	
+	test('a file checkpoint store rejects loading a corrupt file', () => {
+		const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoints-'));
+		const filePath = path.join(directory, 'checkpoints.json');
+		
+		fs.writeFileSync(filePath, '{ not json');
+		
+		expect.assertions(1);
+		
+		return createFileCheckpointStore(filePath).load('numbers')
+			.catch(error => expect(error).toBeInstanceOf(SyntaxError));
+	});
+	
+	test('invalid checkpoint options throw an error', () => {
+		const store = createMemoryCheckpointStore();
+		
+		expect(() => createPausableStream(generateTestData([]), 
+			{ checkpoint: { key: 'numbers' } })).toThrow();
+		expect(() => createPausableStream(generateTestData([]), 
+			{ checkpoint: { store } })).toThrow();
+		expect(() => createPausableStream(generateTestData([]), 
+			{ checkpoint: { store, key: 'numbers', every: 0 } })).toThrow();
+		expect(() => createPausableStream(generateTestData([]), 
+			{ checkpoint: { store, key: 'numbers', position: 'index' } })).toThrow();
+		expect(() => createFileCheckpointStore(null)).toThrow();
+	});
+});
@@ -0,0 +1,247 @@
+const Bacon = require('baconjs');
+const _ = require('lodash');
+const { collectData, generateTestData } = require('./helpers/testStreams');
+
+describe('testing the combination of pausable streams,', () => {
+	jest.resetModules();
+	
+	const createPausableStream = require('../src/index');
+	const { mergePausable, concatPausable, zipPausable } = createPausableStream;
+	
+	test('merged streams emit the values of all the source streams', () => {
+		//Create the source streams
+		const sourceStreams = [
+			createPausableStream(generateTestData(_.range(0, 10))),
+			createPausableStream(generateTestData(_.range(10, 20)))
+		];
+		
+		//Merge the source streams and collect the emitted data
+		return collectData(mergePausable(sourceStreams))
+			.then(actualData => expect(_.sortBy(actualData)).toEqual(_.range(20)));
+	});
+	
+	test('pausing a merged stream pauses every source stream', () => {
+		return new Promise((resolve, reject) => {
+			//Create the source streams
+			const sourceStreams = [
+				createPausableStream(generateTestData(_.range(0, 10))),
+				createPausableStream(generateTestData(_.range(10, 20)))
+			];
+			
+			//Merge the source streams
+			const mergedStream = mergePausable(sourceStreams);
+			
+			const actualData = [];
+			
+			expect.assertions(5);
+			
+			mergedStream.onError(error => reject(error));
+			mergedStream.onValue(data => {
+				actualData.push(data);
+				
+				//Pause the merged stream after the fourth item
+				if(actualData.length === 4) {
+					mergedStream.pause();
+					
+					//Verify that every source stream was paused and then resume them
+					setTimeout(() => {
+						expect(mergedStream.isPaused()).toBe(true);
+						expect(sourceStreams.every(stream => stream.isPaused())).toBe(true);
+						expect(actualData.length).toBe(4);
+						
+						mergedStream.resume();
+						
+						expect(sourceStreams.some(stream => stream.isPaused())).toBe(false);
+					}, 20);
+				}
+			});
+			
+			mergedStream.onEnd(() => {
+				//When the stream end, verify that we collected the expected data
+				expect(_.sortBy(actualData)).toEqual(_.range(20));
+				
+				resolve();
+			});
+		});
+	});
+	
+	test('concatenated streams emit the values of the source streams in order', () => {
+		//Create the source streams
+		const sourceStreams = [
+			createPausableStream(generateTestData(_.range(0, 10))),
+			createPausableStream(generateTestData(_.range(10, 20))),
+			createPausableStream(generateTestData(_.range(20, 30)))
+		];
+		
+		//Concatenate the source streams and collect the emitted data
+		return collectData(concatPausable(sourceStreams))
+			.then(actualData => expect(actualData).toEqual(_.range(30)));
+	});
+	
+	test('pausing a concatenated stream pauses the source streams that have not ' +
+		'started yet', () => {
+		return new Promise((resolve, reject) => {
+			//Create the source streams
+			const sourceStreams = [
+				createPausableStream(generateTestData(_.range(0, 5))),
+				createPausableStream(generateTestData(_.range(5, 10)))
+			];
+			
+			//Concatenate the source streams
+			const concatenatedStream = concatPausable(sourceStreams);
+			
+			const actualData = [];
+			
+			expect.assertions(3);
+			
+			concatenatedStream.onError(error => reject(error));
+			concatenatedStream.onValue(data => {
+				actualData.push(data);
+				
+				//Pause the concatenated stream on the last item of the first stream
+				if(data === 4) {
+					concatenatedStream.pause();
+					
+					//Verify that the second stream did not start emitting and then
+					//resume the concatenated stream
+					setTimeout(() => {
+						expect(sourceStreams[1].isPaused()).toBe(true);
+						expect(actualData).toEqual(_.range(5));
+						
+						concatenatedStream.resume();
+					}, 20);
+				}
+			});
+			
+			concatenatedStream.onEnd(() => {
+				//When the stream end, verify that we collected the expected data
+				expect(actualData).toEqual(_.range(10));
+				
+				resolve();
+			});
+		});
+	});
+	
+	test('zipped streams emit arrays of the values of the source streams', () => {
+		//Create the source streams, one of which is shorter than the others
+		const sourceStreams = [
+			createPausableStream(generateTestData(_.range(0, 10))),
+			createPausableStream(generateTestData(_.range(10, 20))),
+			createPausableStream(generateTestData(_.range(20, 25)))
+		];
+		
+		//Zip the source streams and collect the emitted data
+		return collectData(zipPausable(sourceStreams))
+			.then(actualData => expect(actualData)
+				.toEqual(_.range(5).map(index => [index, index + 10, index + 20])));
+	});
+	
+	test('a source stream that gets ahead of the others is paused until they catch up', () => {
+		//Keep track of how far ahead the fast stream gets
+		let fastCount = 0;
+		let slowCount = 0;
+		let maxAheadCount = 0;
+		
+		function* generateFastData() {
+			for(data of _.range(20)) {
+				fastCount = fastCount + 1;
+				maxAheadCount = Math.max(maxAheadCount, fastCount - slowCount);
+				
+				yield data;
+			}
+			
+			return new Bacon.End();
+		}
+		
+		//Create a slow async iterator that takes a while to generate each value
+		let slowIndex = 0;
+		
+		const slowIterator = {
+			next: () => new Promise(resolve => setTimeout(() => {
+				slowCount = slowCount + 1;
+				
+				resolve(slowIndex < 20 ? 
+					{ value: slowIndex++, done: false } :
+					{ value: new Bacon.End(), done: true });
+			}, 2))
+		};
+		
+		//Zip the source streams and collect the emitted data
+		const sourceStreams = [
+			createPausableStream(generateFastData()),
+			createPausableStream(slowIterator)
+		];
+		
+		return collectData(zipPausable(sourceStreams))
+			.then(actualData => {
+				//Verify that the data was zipped and the fast stream never got far ahead
+				expect(actualData).toEqual(_.range(20).map(index => [index, index]));
+				expect(maxAheadCount).toBeLessThanOrEqual(1);
+			});
+	});
+	
+	test('pausing a zipped stream pauses every source stream', () => {
+		return new Promise((resolve, reject) => {
+			//Create the source streams
+			const sourceStreams = [
+				createPausableStream(generateTestData(_.range(0, 10))),
+				createPausableStream(generateTestData(_.range(10, 20)))
+			];
+			
+			//Zip the source streams
+			const zippedStream = zipPausable(sourceStreams);
+			
+			const actualData = [];
+			
+			expect.assertions(4);
+			
+			zippedStream.onError(error => reject(error));
+			zippedStream.onValue(data => {
+				actualData.push(data);
+				
+				//Pause the zipped stream after the third item
+				if(actualData.length === 3) {
+					zippedStream.pause();
+					
+					//Verify that the source streams were paused and then resume the stream
+					setTimeout(() => {
+						expect(zippedStream.isPaused()).toBe(true);
+						expect(sourceStreams.every(stream => stream.isPaused())).toBe(true);
+						expect(actualData.length).toBe(3);
+						
+						zippedStream.resume();
+					}, 20);
+				}
+			});
+			
+			zippedStream.onEnd(() => {
+				//When the stream end, verify that we collected the expected data
+				expect(actualData).toEqual(_.range(10).map(index => [index, index + 10]));
+				
+				resolve();
+			});
+		});
+	});
+	
+	test('streams derived from combined streams keep the combined pause controls', () => {
+		//Create and merge the source streams
+		const sourceStreams = [
+			createPausableStream(generateTestData(_.range(0, 10))),
+			createPausableStream(generateTestData(_.range(10, 20)))
+		];
+		
+		const derivedStream = mergePausable(sourceStreams).map(number => number * 2);
+		
+		derivedStream.pause();
+		
+		expect(derivedStream.isPaused()).toBe(true);
+		expect(sourceStreams.every(stream => stream.isPaused())).toBe(true);
+	});
+	
+	test('the combination functions throw an error when the streams are not pausable ' +
+		'streams', () => {
+		expect(() => mergePausable([])).toThrow();
+		expect(() => concatPausable([Bacon.once(1)])).toThrow();
+		expect(() => zipPausable('streams')).toThrow();
+	});
+});
@@ -0,0 +1,64 @@
+const path = require('path');
+const { execFile } = require('child_process');
+
+describe('testing the ES module entry point,', () => {
+	const entryPoint = path.resolve(__dirname, '../src/index.mjs');
+	
+	test('the entry point can be imported with a default export and named exports', () => {
+		//Import the entry point in a separate Node.js process, since the tests are run
+		//as CommonJS modules, and report what was imported
+		const script = `
+			import createPausableStream, { mergePausable, fromIterable }
+				from ${JSON.stringify(entryPoint)};
+			
+			const stream = fromIterable([1, 2, 3]);
+			const values = [];
+			
+			stream.onValue(value => values.push(value));
+			stream.onEnd(() => console.log(JSON.stringify({
+				defaultExport: typeof createPausableStream,
+				namedExport: mergePausable === createPausableStream.mergePausable,
+				paused: stream.isPaused(),
+				values
+			})));
+		`;
+		
+		return runModule(script)
+			.then(output => expect(JSON.parse(output)).toEqual({
+				defaultExport: 'function',
+				namedExport: true,
+				paused: false,
+				values: [1, 2, 3]
+			}));
+	});
+	
+	test('every helper function is a named export', () => {
+		const createPausableStream = require('../src/index');
+		
+		const helperNames = Object.keys(createPausableStream)
+			.filter(name => typeof createPausableStream[name] === 'function');
+		
+		const script = `
+			import * as entryPoint from ${JSON.stringify(entryPoint)};
+			
+			console.log(JSON.stringify(Object.keys(entryPoint)));
+		`;
+		
+		return runModule(script)
+			.then(output => expect(JSON.parse(output).sort())
+				.toEqual(helperNames.concat('default').sort()));
+	});
+	
+	/**
+	 * Runs an ES module script in a separate Node.js process
+	 *
+	 * @param {string} script - the source code of the ES module
+	 * @returns {Object} a promise that resolves to what the script wrote to stdout
+	 */
+	function runModule(script) {
+		return new Promise((resolve, reject) => {
+			execFile(process.execPath, ['--input-type=module', '-e', script],
+				(error, stdout) => error ? reject(error) : resolve(stdout));
+		});
+	}
+});
@@ -0,0 +1,107 @@
+const Bacon = require('baconjs');
+const _ = require('lodash');
+const { isEnd, isError, getValue } = require('../../src/baconEvents');
+
+//The helper functions that are shared by the tests
+
+/**
+ * This generator function emits test data, and serves to generate events for
+ * test Bacon streams
+ *
+ * @param {Array.<*>} testData - an array of test data to be emitted
+ */
+function* generateTestData(testData) {
+	for(const data of testData) {
+		yield data;
+	}
+	
+	return new Bacon.End();
+}
+
+/**
+ * Creates an iterator that emits test data, throwing an error instead of emitting
+ * the values at some positions in the data. Unlike a generator, the iterator
+ * can still be called after throwing an error.
+ *
+ * @param {Array.<*>} testData - an array of test data to be emitted
+ * @param {Array.<number>} errorIndexes - the indexes of the data that will be
+ *	thrown as errors
+ * @returns an iterator that emits the test data
+ */
+function createThrowingTestIterator(testData, errorIndexes) {
+	let index = 0;
+	
+	return {
+		next: () => {
+			if(index >= testData.length) {
+				return { value: new Bacon.End(), done: true };
+			}
+			
+			const currentIndex = index++;
+			
+			if(errorIndexes.indexOf(currentIndex) !== -1) {
+				throw new Error(`error at ${currentIndex}`);
+			}
+			
+			return { value: testData[currentIndex], done: false };
+		}
+	};
+}
+
+/**
+ * Collects the data emitted by a stream
+ *
+ * @param {Object} stream - the stream whose data is to be collected
+ * @returns a promise that resolves to an array of the emitted data when the stream
+ *	has ended, or is rejected when the stream emits an error
+ */
+function collectData(stream) {
+	return new Promise((resolve, reject) => {
+		const actualData = [];
+		
+		stream.onError(error => reject(error));
+		stream.onValue(data => actualData.push(data));
+		stream.onEnd(() => resolve(actualData));
+	});
+}
+
+/**
+ * Subscribes to a stream and collects the values that it emits, with the message
+ * of each error
+ *
+ * @param {Object} stream - the stream to subscribe to
+ * @returns {Object} a promise that resolves to the collected events when the stream
+ *	has ended
+ */
+function collectEvents(stream) {
+	return new Promise(resolve => {
+		const actualEvents = [];
+		
+		stream.subscribe(event => {
+			if(isEnd(event)) {
+				resolve(actualEvents);
+			}
+			else {
+				actualEvents.push(isError(event) ? event.error.message : getValue(event));
+			}
+		});
+	});
+}
+
+/**
+ * Waits for pending microtasks, such as the ones that generate the values of a
+ * pausable stream, to run
+ *
+ * @returns a promise that resolves after the pending microtasks have run
+ */
+function flushMicrotasks() {
+	return _.range(20).reduce(promise => promise.then(() => {}), Promise.resolve());
+}
+
+module.exports = {
+	generateTestData,
+	createThrowingTestIterator,
+	collectData,
+	collectEvents,
+	flushMicrotasks
+};
@@ -1,10 +1,14 @@
 const Bacon = require('baconjs');
 const _ = require('lodash');
+const fs = require('fs');
+const { generateTestData, createThrowingTestIterator, flushMicrotasks } =
+	require('./helpers/testStreams');
 
 describe('testing the creation of pausable stream,', () => {
 	jest.resetModules();
 	
 	const createPausableStream = require('../src/index');
+	const { isEnd, isError, hasValue, getValue } = require('../src/baconEvents');
 	
 	test('the stream works correctly without without any pausing or resuming', () => {		
 		//Create the test data
@@ -464,6 +468,2278 @@ describe('testing the creation of pausable stream,', () => {
 		return testDataStreaming(testStream, expectedData);
 	});
 	
+	test('the stream works correctly with an async iterator', () => {
+		//Create the test data
+		const testData = _.range(30);
+
+		//Create the pausable stream that emits the test data
+		const testStream = createPausableStream(createAsyncTestIterator(testData));
+
+		//Test the data streaming
+		return testDataStreaming(testStream, testData);
+	});
+	
+	test('the stream works correctly with an async iterable that is not itself ' +
+		'an iterator', () => {
+		//Create the test data
+		const testData = _.range(10);
+		
+		//Create an object that only provides an async iterator
+		const asyncIterable = {
+			[Symbol.asyncIterator]: () => createAsyncTestIterator(testData)
+		};
+
+		//Create the pausable stream that emits the test data
+		const testStream = createPausableStream(asyncIterable);
+
+		//Test the data streaming
+		return testDataStreaming(testStream, testData);
+	});
+	
+	test('the stream does not emit the return value of an async iterable that is not ' +
+		'itself an iterator', () => {
+		//Create an object that provides an async iterator that finishes without Bacon.End
+		const asyncIterable = {
+			[Symbol.asyncIterator]: () => {
+				let index = 0;
+				
+				return {
+					next: () => {
+						index = index + 1;
+						
+						return Promise.resolve(index <= 2 ? 
+							{ value: index, done: false } : 
+							{ value: undefined, done: true });
+					}
+				};
+			}
+		};
+		
+		const testStream = createPausableStream(asyncIterable);
+		
+		return new Promise((resolve, reject) => {
+			testStream.onError(error => reject(error));
+			testStream.fold([], (values, value) => values.concat([value]))
+				.onValue(values => {
+					expect(values).toEqual([1, 2]);
+					
+					resolve();
+				});
+		});
+	});
+	
+	test('the stream never makes more than one call to an async iterator at a time', () => {
+		return new Promise((resolve, reject) => {
+			//Create the test data
+			const testData = _.range(20);
+			
+			//Create an async iterator that keeps track of the maximum number of calls
+			//in progress at the same time
+			const testIterator = createAsyncTestIterator(testData, 5);
+			
+			//Create the pausable stream that emits the test data
+			const testStream = createPausableStream(testIterator);
+			
+			//Process the stream and collect the emitted data
+			const actualData = [];
+			
+			expect.assertions(2);
+			
+			testStream.onError(error => reject(error));
+			testStream.onValue(data => {
+				actualData.push(data);
+				
+				//Pause and resume the stream repeatedly while values are being generated
+				testStream.pause();
+				testStream.resume();
+				setTimeout(() => testStream.pause(), 1);
+				setTimeout(() => testStream.resume(), 2);
+			});
+			
+			testStream.onEnd(() => {
+				//Verify that we collected the expected data and that the iterator was
+				//never called more than once at a time
+				expect(actualData).toEqual(testData);
+				expect(testIterator.maxPendingCalls).toBe(1);
+				
+				resolve();
+			});
+		});
+	});
+	
+	test('the stream holds an async value that arrives after the stream was paused', () => {
+		return new Promise((resolve, reject) => {
+			//Create the test data
+			const testData = _.range(5);
+			
+			//Create an async iterator that takes 20ms to generate each value
+			const testIterator = createAsyncTestIterator(testData, 20);
+			
+			//Create the pausable stream that emits the test data
+			const testStream = createPausableStream(testIterator);
+			
+			//Process the stream and collect the emitted data
+			const actualData = [];
+			
+			expect.assertions(3);
+			
+			testStream.onError(error => reject(error));
+			testStream.onValue(data => actualData.push(data));
+			
+			//Pause the stream while the first value is still being generated
+			setTimeout(() => testStream.pause(), 10);
+			
+			//Verify that the first value was generated but was not emitted while paused
+			setTimeout(() => {
+				expect(testIterator.callCount).toBe(1);
+				expect(actualData.length).toBe(0);
+				
+				testStream.resume();
+			}, 60);
+			
+			testStream.onEnd(() => {
+				//When the stream end, verify that we collected the expected data
+				expect(actualData).toEqual(testData);
+				
+				resolve();
+			});
+		});
+	});
+	
+	test('the stream ends when an async iterator yields Bacon.End', () => {
+		//Create the test data
+		const testData = [..._.range(5), new Bacon.End(), ..._.range(5)];
+
+		//Create the pausable stream that emits the test data
+		const testStream = createPausableStream(createAsyncTestIterator(testData));
+
+		//Test the data streaming
+		return testDataStreaming(testStream, _.range(5));
+	});
+	
+	test('timers get a turn while an infinite generator is being drained', () => {
+		return new Promise((resolve, reject) => {
+			//Create a pausable stream that never ends
+			const testStream = createPausableStream(generateInfiniteData());
+			
+			let itemCount = 0;
+			
+			expect.assertions(2);
+			
+			testStream.onError(error => reject(error));
+			testStream.onValue(() => itemCount = itemCount + 1);
+			
+			//Pause the stream from a timer, which can only happen if the stream yields
+			//to the macrotask queue
+			setTimeout(() => {
+				testStream.pause();
+				
+				const pausedItemCount = itemCount;
+				
+				//Verify that values were generated and that no more values are generated
+				//after the stream was paused
+				setTimeout(() => {
+					expect(pausedItemCount).toBeGreaterThan(0);
+					expect(itemCount).toBe(pausedItemCount);
+					
+					resolve();
+				}, 20);
+			}, 0);
+		});
+	});
+	
+	test('I/O callbacks get a turn while an infinite generator is being drained', () => {
+		return new Promise((resolve, reject) => {
+			//Create a pausable stream that never ends and yields after every 10 values
+			const testStream = createPausableStream(generateInfiniteData(), 
+				{ yieldEvery: 10 });
+			
+			let itemCount = 0;
+			
+			expect.assertions(2);
+			
+			testStream.onError(error => reject(error));
+			testStream.onValue(() => itemCount = itemCount + 1);
+			
+			//Pause the stream from an I/O callback
+			fs.readFile(__filename, (error, contents) => {
+				testStream.pause();
+				
+				expect(error).toBeNull();
+				expect(itemCount).toBeGreaterThan(0);
+				
+				resolve();
+			});
+		});
+	});
+	
+	test('the stream uses the scheduler that was passed in the options', () => {
+		//Create the test data
+		const testData = _.range(30);
+		
+		//Create a scheduler that runs tasks as macrotasks and counts them
+		let scheduledTaskCount = 0;
+		
+		const scheduler = task => {
+			scheduledTaskCount = scheduledTaskCount + 1;
+			
+			setImmediate(task);
+		};
+		
+		//Create the pausable stream that emits the test data
+		const testStream = createPausableStream(generateTestData(testData), 
+			{ scheduler });
+
+		//Test the data streaming and verify that the scheduler was used for each
+		//value and the end of the stream
+		return testDataStreaming(testStream, testData)
+			.then(() => expect(scheduledTaskCount).toBe(testData.length + 1));
+	});
+	
+	test('the stream can still be initially paused using the options object', () => {
+		return new Promise((resolve, reject) => {
+			//Create the pausable stream that emits the test data. The stream is initially
+			//paused
+			const testStream = createPausableStream(generateTestData(_.range(10)), 
+				{ initiallyPaused: true });
+			
+			const actualData = [];
+			
+			expect.assertions(1);
+			
+			testStream.onError(error => reject(error));
+			testStream.onValue(data => actualData.push(data));
+			
+			//Verify that the stream is still paused
+			setTimeout(() => {
+				expect(actualData.length).toBe(0);
+				
+				resolve();
+			}, 20);
+		});
+	});
+	
+	test('an error thrown by the generator is emitted and ends the stream by default', () => {
+		return new Promise((resolve, reject) => {
+			//Create a pausable stream whose generator throws an error after five values
+			const testStream = createPausableStream(generateThrowingData(_.range(5)));
+			
+			//Process the stream and collect the emitted data and errors
+			const actualData = [];
+			const actualErrors = [];
+			
+			expect.assertions(2);
+			
+			testStream.onError(error => actualErrors.push(error));
+			testStream.onValue(data => actualData.push(data));
+			
+			testStream.onEnd(() => {
+				//When the stream end, verify that we collected the expected data and error
+				expect(actualData).toEqual(_.range(5));
+				expect(actualErrors.map(error => error.message)).toEqual(['generator error']);
+				
+				resolve();
+			});
+		});
+	});
+	
+	test('an error in an async iterator is emitted and ends the stream by default', () => {
+		return new Promise((resolve, reject) => {
+			//Create an async iterator whose promise is rejected
+			const testIterator = {
+				next: () => Promise.reject(new Error('async generator error'))
+			};
+			
+			//Create the pausable stream that emits the error
+			const testStream = createPausableStream(testIterator);
+			
+			const actualErrors = [];
+			
+			expect.assertions(1);
+			
+			testStream.onError(error => actualErrors.push(error));
+			testStream.onValue(data => reject(new Error('unexpected value')));
+			
+			testStream.onEnd(() => {
+				//When the stream end, verify that we collected the expected error
+				expect(actualErrors.map(error => error.message))
+					.toEqual(['async generator error']);
+				
+				resolve();
+			});
+		});
+	});
+	
+	test('a subscriber that unsubscribes in response to an error that ends the stream ' +
+		'does not end the stream twice', () => {
+		//Create a checkpoint store that keeps track of the saved checkpoints, which are
+		//saved whenever the stream ends
+		const savedCheckpoints = [];
+		const store = {
+			save: (key, checkpoint) => {
+				savedCheckpoints.push(checkpoint);
+				
+				return Promise.resolve();
+			},
+			load: () => Promise.resolve(null),
+			remove: () => Promise.resolve()
+		};
+		
+		const testStream = createPausableStream(createThrowingTestIterator(_.range(3), [1]),
+			{ checkpoint: { store, key: 'numbers' } });
+		
+		return new Promise(resolve => {
+			const unsubscribe = testStream.onError(() => {
+				unsubscribe();
+				
+				resolve();
+			});
+		})
+		.then(() => flushMicrotasks())
+		.then(() => {
+			expect(savedCheckpoints.length).toBe(1);
+			expect(testStream.isEnded()).toBe(true);
+		});
+	});
+	
+	test('the stream keeps calling the generator after an error when the error policy ' +
+		'is continue', () => {
+		return new Promise((resolve, reject) => {
+			//Create the test data, where the third and sixth values will be thrown
+			//as errors
+			const testData = _.range(8);
+			const testIterator = createThrowingTestIterator(testData, [2, 5]);
+			
+			//Create the pausable stream that emits the test data
+			const testStream = createPausableStream(testIterator, 
+				{ errorPolicy: 'continue' });
+			
+			//Process the stream and collect the emitted data and errors
+			const actualData = [];
+			const actualErrors = [];
+			
+			expect.assertions(2);
+			
+			testStream.onError(error => actualErrors.push(error));
+			testStream.onValue(data => actualData.push(data));
+			
+			testStream.onEnd(() => {
+				//When the stream end, verify that we collected the expected data and errors
+				expect(actualData).toEqual([0, 1, 3, 4, 6, 7]);
+				expect(actualErrors.map(error => error.message))
+					.toEqual(['error at 2', 'error at 5']);
+				
+				resolve();
+			});
+		});
+	});
+	
+	test('the stream is paused after an error when the error policy is pause', () => {
+		return new Promise((resolve, reject) => {
+			//Create the test data, where the fourth value will be thrown as an error
+			const testData = _.range(8);
+			const testIterator = createThrowingTestIterator(testData, [3]);
+			
+			//Create the pausable stream that emits the test data
+			const testStream = createPausableStream(testIterator, { errorPolicy: 'pause' });
+			
+			//Process the stream and collect the emitted data and errors
+			const actualData = [];
+			const actualErrors = [];
+			
+			expect.assertions(3);
+			
+			testStream.onError(error => {
+				actualErrors.push(error);
+				
+				//Verify that the stream remains paused after the error and then resume it
+				setTimeout(() => {
+					expect(actualData).toEqual([0, 1, 2]);
+					
+					testStream.resume();
+				}, 20);
+			});
+			testStream.onValue(data => actualData.push(data));
+			
+			testStream.onEnd(() => {
+				//When the stream end, verify that we collected the expected data and errors
+				expect(actualData).toEqual([0, 1, 2, 4, 5, 6, 7]);
+				expect(actualErrors.map(error => error.message)).toEqual(['error at 3']);
+				
+				resolve();
+			});
+		});
+	});
+	
+	test('the stream creation function throws an error when the error policy ' +
+		'is invalid', () => {
+		expect(() => createPausableStream(generateTestData([]), { errorPolicy: 'retry' }))
+			.toThrow();
+	});
+	
+	test('the generator is closed when the last subscriber unsubscribes', () => {
+		return new Promise((resolve, reject) => {
+			let generatorClosed = false;
+			let generatedCount = 0;
+			
+			//This generator function keeps track of the values it generated and
+			//whether it has been closed
+			function* generator() {
+				try {
+					while(true) {
+						generatedCount = generatedCount + 1;
+						
+						yield generatedCount;
+					}
+				}
+				finally {
+					generatorClosed = true;
+				}
+			}
+			
+			//Create the pausable stream that emits the generated values
+			const testStream = createPausableStream(generator());
+			
+			expect.assertions(3);
+			
+			//Unsubscribe after the fifth value
+			const unsubscribe = testStream.onValue(data => {
+				if(data === 5) {
+					unsubscribe();
+					
+					//Verify that the generator was closed and that it was not called again
+					setTimeout(() => {
+						expect(generatorClosed).toBe(true);
+						expect(generatedCount).toBe(5);
+						expect(testStream.pause).not.toThrow();
+						
+						resolve();
+					}, 20);
+				}
+			});
+		});
+	});
+	
+	test('the generator is closed when a derived stream stops listening', () => {
+		return new Promise((resolve, reject) => {
+			let generatorClosed = false;
+			
+			//This generator function keeps track of whether it has been closed
+			function* generator() {
+				try {
+					yield* _.range(30);
+				}
+				finally {
+					generatorClosed = true;
+				}
+			}
+			
+			//Create the pausable stream and only take the first three values
+			const testStream = createPausableStream(generator());
+			
+			const actualData = [];
+			
+			expect.assertions(2);
+			
+			const takenStream = testStream.take(3);
+			
+			takenStream.onValue(data => actualData.push(data));
+			takenStream.onEnd(() => {
+				//Verify that the generator was closed after the values were taken
+				setTimeout(() => {
+					expect(actualData).toEqual([0, 1, 2]);
+					expect(generatorClosed).toBe(true);
+					
+					resolve();
+				}, 20);
+			});
+		});
+	});
+	
+	test('a subscriber that subscribes after the stream was torn down only receives ' +
+		'the end of the stream', () => {
+		return new Promise((resolve, reject) => {
+			//Create the pausable stream that emits the test data
+			const testStream = createTestPausableStream(_.range(30));
+			
+			expect.assertions(1);
+			
+			//Unsubscribe after the first value
+			const unsubscribe = testStream.onValue(data => {
+				unsubscribe();
+				
+				//Subscribe again and verify that the stream has ended
+				setTimeout(() => {
+					const actualData = [];
+					
+					testStream.onValue(data => actualData.push(data));
+					testStream.onEnd(() => {
+						expect(actualData).toEqual([]);
+						
+						resolve();
+					});
+				}, 10);
+			});
+		});
+	});
+	
+	test('an async iterator is closed and its pending value is discarded when the last ' +
+		'subscriber unsubscribes', () => {
+		return new Promise((resolve, reject) => {
+			//Create an async iterator that takes 20ms to generate each value and
+			//keeps track of whether it has been closed
+			const testIterator = createAsyncTestIterator(_.range(10), 20);
+			
+			let iteratorClosed = false;
+			
+			testIterator.return = () => {
+				iteratorClosed = true;
+				
+				return Promise.resolve({ value: undefined, done: true });
+			};
+			
+			//Create the pausable stream that emits the test data
+			const testStream = createPausableStream(testIterator);
+			
+			const actualData = [];
+			
+			expect.assertions(3);
+			
+			const unsubscribe = testStream.onValue(data => actualData.push(data));
+			
+			//Unsubscribe while the first value is still being generated
+			setTimeout(() => unsubscribe(), 10);
+			
+			//Verify that the iterator was closed and that no more values were generated
+			setTimeout(() => {
+				expect(iteratorClosed).toBe(true);
+				expect(testIterator.callCount).toBe(1);
+				expect(actualData).toEqual([]);
+				
+				resolve();
+			}, 60);
+		});
+	});
+	
+	test('stop() ends the stream and closes the generator', () => {
+		return new Promise((resolve, reject) => {
+			let generatorClosed = false;
+			let generatedCount = 0;
+			
+			//This generator function keeps track of the values it generated and
+			//whether it has been closed
+			function* generator() {
+				try {
+					while(true) {
+						generatedCount = generatedCount + 1;
+						
+						yield generatedCount;
+					}
+				}
+				finally {
+					generatorClosed = true;
+				}
+			}
+			
+			const testStream = createPausableStream(generator());
+			
+			const actualData = [];
+			
+			expect.assertions(5);
+			
+			testStream.onError(error => reject(error));
+			testStream.onValue(data => {
+				actualData.push(data);
+				
+				//Stop the stream after the third value
+				if(data === 3) {
+					testStream.stop();
+				}
+			});
+			testStream.onEnd(() => {
+				//Verify that the generator was closed and that it was not called again
+				setTimeout(() => {
+					expect(actualData).toEqual([1, 2, 3]);
+					expect(generatedCount).toBe(3);
+					expect(generatorClosed).toBe(true);
+					expect(testStream.isEnded()).toBe(true);
+					expect(testStream.stop).not.toThrow();
+					
+					resolve();
+				}, 20);
+			});
+		});
+	});
+	
+	test('stop() ends a paused stream and discards the value that is being held', () => {
+		return new Promise((resolve, reject) => {
+			//Create an async iterator that takes 20ms to generate each value
+			const testIterator = createAsyncTestIterator(_.range(10), 20);
+			
+			const testStream = createPausableStream(testIterator);
+			
+			const actualData = [];
+			
+			expect.assertions(2);
+			
+			testStream.onValue(data => actualData.push(data));
+			testStream.onEnd(() => {
+				expect(actualData).toEqual([]);
+				expect(testIterator.callCount).toBe(1);
+				
+				resolve();
+			});
+			
+			//Pause the stream while the first value is being generated, and stop it
+			//once the value has arrived
+			setTimeout(() => testStream.pause(), 10);
+			setTimeout(() => testStream.stop(), 40);
+		});
+	});
+	
+	test('stop() emits an error thrown while the generator cleans up', () => {
+		//This generator function fails to clean up
+		function* generator() {
+			try {
+				yield* _.range(10);
+			}
+			finally {
+				throw new Error('cleanup error');
+			}
+		}
+		
+		const testStream = createPausableStream(generator());
+		
+		const actualEvents = [];
+		
+		return new Promise((resolve, reject) => {
+			testStream.subscribe(event => {
+				if(isEnd(event)) {
+					resolve();
+				}
+				else if(isError(event)) {
+					actualEvents.push(event.error.message);
+				}
+				else if(getValue(event) === 1) {
+					testStream.stop();
+				}
+			});
+		})
+		.then(() => expect(actualEvents).toEqual(['cleanup error']));
+	});
+	
+	test('a stream stopped before anyone subscribes to it only emits the end of the ' +
+		'stream', () => {
+		const testStream = createTestPausableStream(_.range(10));
+		
+		testStream.stop();
+		
+		return testDataStreaming(testStream, []);
+	});
+	
+	test('abort() throws the error into the generator, emits it and ends the stream', () => {
+		let caughtError = null;
+		
+		//This generator function keeps track of the error that was thrown into it
+		function* generator() {
+			try {
+				for(const number of _.range(10)) {
+					yield number;
+				}
+			}
+			catch(error) {
+				caughtError = error;
+				
+				throw error;
+			}
+		}
+		
+		//Abort the stream using a stream derived from it
+		const testStream = createPausableStream(generator()).map(number => number * 10);
+		const abortError = new Error('aborted by the consumer');
+		
+		const actualEvents = [];
+		
+		return new Promise((resolve, reject) => {
+			testStream.subscribe(event => {
+				if(isEnd(event)) {
+					resolve();
+				}
+				else if(isError(event)) {
+					actualEvents.push(event.error);
+				}
+				else {
+					actualEvents.push(getValue(event));
+					
+					if(getValue(event) === 20) {
+						testStream.abort(abortError);
+					}
+				}
+			});
+		})
+		.then(() => {
+			expect(actualEvents).toEqual([0, 10, 20, abortError]);
+			expect(caughtError).toBe(abortError);
+			expect(testStream.isEnded()).toBe(true);
+		});
+	});
+	
+	test('abort() closes a generator that catches the error and yields another ' +
+		'value', () => {
+		let finished = false;
+		
+		//This generator function ignores the errors that are thrown into it
+		function* generator() {
+			try {
+				while(true) {
+					try {
+						yield 1;
+					}
+					catch(error) {
+						//Ignore the error
+					}
+				}
+			}
+			finally {
+				finished = true;
+			}
+		}
+		
+		const testStream = createPausableStream(generator());
+		const abortError = new Error('aborted by the consumer');
+		
+		return new Promise((resolve, reject) => {
+			testStream.subscribe(event => {
+				if(isEnd(event)) {
+					resolve();
+				}
+				else if(hasValue(event)) {
+					testStream.abort(abortError);
+				}
+			});
+		})
+		.then(() => {
+			expect(finished).toBe(true);
+			expect(testStream.isEnded()).toBe(true);
+		});
+	});
+	
+	test('isPaused() and isEnded() reflect the state of the stream', () => {
+		return new Promise((resolve, reject) => {
+			//Create the pausable stream that emits the test data. The stream is initially
+			//paused
+			const testStream = createTestPausableStream(_.range(10), true);
+			
+			expect.assertions(6);
+			
+			//Verify the initial state
+			expect(testStream.isPaused()).toBe(true);
+			expect(testStream.isEnded()).toBe(false);
+			
+			testStream.onError(error => reject(error));
+			testStream.onValue(() => {});
+			
+			testStream.resume();
+			
+			//Verify the state after resuming the stream
+			expect(testStream.isPaused()).toBe(false);
+			expect(testStream.isEnded()).toBe(false);
+			
+			testStream.onEnd(() => {
+				//Verify the state after the stream ended
+				expect(testStream.isPaused()).toBe(false);
+				expect(testStream.isEnded()).toBe(true);
+				
+				resolve();
+			});
+		});
+	});
+	
+	test('the lifecycle event stream emits the transitions of the stream', () => {
+		const testStream = createTestPausableStream(_.range(3), true);
+		
+		const lifecycleEvents = [];
+		
+		return new Promise((resolve, reject) => {
+			testStream.lifecycle.onValue(event => lifecycleEvents.push(event));
+			testStream.lifecycle.onEnd(() => resolve());
+			
+			testStream.onValue(() => {});
+			
+			testStream.pause();
+			testStream.resume();
+			testStream.resume();
+		})
+		.then(() => {
+			expect(lifecycleEvents.map(event => event.type)).toEqual([
+				'ignored', 'resumed', 'ignored', 'pulled', 'pulled', 'pulled', 'pulled', 'ended'
+			]);
+			expect(lifecycleEvents[0].action).toBe('pause');
+			expect(lifecycleEvents[2].action).toBe('resume');
+			expect(lifecycleEvents.map(event => event.itemCount))
+				.toEqual([0, 0, 0, 1, 2, 3, 3, 3]);
+			expect(lifecycleEvents[6].done).toBe(true);
+			expect(lifecycleEvents[7].completed).toBe(true);
+			expect(lifecycleEvents.every(event => typeof event.timestamp === 'number'))
+				.toBe(true);
+		});
+	});
+	
+	test('the lifecycle event stream emits the errors emitted by the stream', () => {
+		const testError = new Error('test error');
+		const testStream = createPausableStream(
+			generateTestData([1, new Bacon.Error(testError), 2]));
+		
+		const lifecycleEvents = [];
+		
+		testStream.lifecycle
+			.filter(event => event.type === 'errored')
+			.onValue(event => lifecycleEvents.push(event));
+		
+		return new Promise(resolve => {
+			testStream.onEnd(() => resolve());
+		})
+		.then(() => {
+			expect(lifecycleEvents.length).toBe(1);
+			expect(lifecycleEvents[0].error).toBe(testError);
+			expect(lifecycleEvents[0].itemCount).toBe(1);
+		});
+	});
+	
+	test('a stream derived from a pausable stream has its lifecycle event stream', () => {
+		const testStream = createTestPausableStream(_.range(3));
+		
+		expect(testStream.map(number => number * 2).lifecycle).toBe(testStream.lifecycle);
+	});
+	
+	test('the stream reports its stats when it collects them', () => {
+		//Create a clock that moves forward 5ms whenever it is read
+		let time = 0;
+		const now = () => time = time + 5;
+		
+		const testStream = createPausableStream(generateTestData(_.range(10)), 
+			{ stats: { now } });
+		
+		return testDataStreaming(testStream, _.range(10))
+			.then(() => {
+				const stats = testStream.stats();
+				
+				expect(stats.itemsEmitted).toBe(10);
+				expect(stats.averageNextDuration).toBe(5);
+				expect(stats.p95NextDuration).toBe(5);
+				expect(stats.itemsPerSecond).toBeGreaterThan(0);
+				
+				//Verify that the stats stop changing when the stream has ended
+				expect(testStream.stats()).toEqual(stats);
+			});
+	});
+	
+	test('stats() throws an error when the stream does not collect stats', () => {
+		const testStream = createTestPausableStream(_.range(10));
+		
+		expect(() => testStream.stats()).toThrow();
+		expect(() => testStream.statsStream(1000)).toThrow();
+	});
+	
+	describe('with a stats stream,', () => {
+		beforeEach(() => jest.useFakeTimers());
+		afterEach(() => jest.useRealTimers());
+		
+		test('the stats stream emits the stats periodically and when the stream ends', () => {
+			const testStream = createPausableStream(generateTestData(_.range(10)), 
+				{ stats: true, demand: true });
+			
+			const actualStats = [];
+			let statsEnded = false;
+			
+			testStream.statsStream(100).onValue(stats => actualStats.push(stats));
+			testStream.statsStream(100).onEnd(() => statsEnded = true);
+			testStream.onValue(() => {});
+			
+			testStream.request(3);
+			
+			return flushMicrotasks()
+				.then(() => {
+					jest.advanceTimersByTime(250);
+					
+					expect(actualStats.map(stats => stats.itemsEmitted)).toEqual([3, 3]);
+					
+					testStream.request(Infinity);
+				})
+				.then(flushMicrotasks)
+				.then(() => {
+					expect(actualStats.map(stats => stats.itemsEmitted)).toEqual([3, 3, 10]);
+					expect(statsEnded).toBe(true);
+				});
+		});
+	});
+	
+	test('every subscriber receives the values from a single pull loop', () => {
+		let generatedCount = 0;
+		
+		//This generator function keeps track of how many values it generated
+		function* generator() {
+			for(const number of _.range(10)) {
+				generatedCount = generatedCount + 1;
+				
+				yield number;
+			}
+			
+			return new Bacon.End();
+		}
+		
+		const testStream = createPausableStream(generator());
+		
+		const doubledData = [];
+		
+		testStream.map(number => number * 2).onValue(data => doubledData.push(data));
+		
+		return testDataStreaming(testStream, _.range(10))
+			.then(() => {
+				expect(doubledData).toEqual(_.range(0, 20, 2));
+				expect(generatedCount).toBe(10);
+			});
+	});
+	
+	test('late subscribers receive nothing that was emitted before they subscribed by ' +
+		'default', () => {
+		return testLateSubscriber('none', []);
+	});
+	
+	test('late subscribers receive the last value when the policy is last', () => {
+		return testLateSubscriber('last', [4]);
+	});
+	
+	test('late subscribers receive the last N values when the policy is a number', () => {
+		return testLateSubscriber(3, [2, 3, 4]);
+	});
+	
+	test('the values are replayed to a subscriber after the stream has ended', () => {
+		const testStream = createPausableStream(generateTestData(_.range(10)), 
+			{ lateSubscribers: 2 });
+		
+		return testDataStreaming(testStream, _.range(10))
+			.then(() => testDataStreaming(testStream, [8, 9]))
+			.then(() => new Promise(resolve => {
+				//Verify that a stream derived from the stream gets the replayed values
+				testStream
+					.map(number => number * 2)
+					.fold([], (values, value) => values.concat([value]))
+					.onValue(values => resolve(values));
+			}))
+			.then(values => expect(values).toEqual([16, 18]));
+	});
+	
+	test('the stream creation function throws an error when the late subscriber ' +
+		'policy is invalid', () => {
+		expect(() => createPausableStream(generateTestData([]), 
+			{ lateSubscribers: 'all' })).toThrow();
+		expect(() => createPausableStream(generateTestData([]), 
+			{ lateSubscribers: 0 })).toThrow();
+	});
+	
+	test('the stream is paused when any subscriber votes to pause it', () => {
+		const testStream = createPausableStream(generateInfiniteData(), 
+			{ pauseVoting: 'any' });
+		
+		const subscriptions = [
+			testStream.subscribeWithVote(() => {}),
+			testStream.map(number => number * 2).subscribeWithVote(() => {})
+		];
+		
+		subscriptions[1].pause();
+		
+		expect(testStream.isPaused()).toBe(true);
+		
+		//Verify that the stream is resumed when the subscriber that voted to pause 
+		//it unsubscribes
+		subscriptions[1].unsubscribe();
+		
+		expect(testStream.isPaused()).toBe(false);
+		
+		subscriptions[0].unsubscribe();
+	});
+	
+	test('the stream is only paused when all subscribers vote to pause it', () => {
+		return new Promise((resolve, reject) => {
+			const testStream = createPausableStream(generateInfiniteData(), 
+				{ pauseVoting: 'all' });
+			
+			let subscriptions = null;
+			
+			expect.assertions(3);
+			
+			//Each subscriber votes to pause the stream when it receives the fifth value
+			const subscriber = index => event => {
+				if(hasValue(event) && getValue(event) === 5) {
+					subscriptions[index].pause();
+					
+					expect(testStream.isPaused()).toBe(index === 1);
+				}
+			};
+			
+			subscriptions = [0, 1].map(index => testStream.subscribeWithVote(subscriber(index)));
+			
+			setTimeout(() => {
+				expect(testStream.isPaused()).toBe(true);
+				
+				subscriptions.forEach(subscription => subscription.unsubscribe());
+				
+				resolve();
+			}, 20);
+		});
+	});
+	
+	test('a vote to resume does not resume a stream that its owner has paused', () => {
+		const testStream = createPausableStream(generateInfiniteData(), 
+			{ pauseVoting: 'any', initiallyPaused: true });
+		
+		const subscription = testStream.subscribeWithVote(() => {});
+		
+		//Verify that the stream stays paused after the subscriber changes its vote
+		subscription.pause();
+		subscription.resume();
+		
+		expect(testStream.isPaused()).toBe(true);
+		
+		//Verify that the same goes for a pause after the stream was created
+		testStream.resume();
+		testStream.pause();
+		subscription.pause();
+		subscription.resume();
+		
+		expect(testStream.isPaused()).toBe(true);
+		
+		//Verify that the owner resuming the stream doesn't override a vote to pause it
+		subscription.pause();
+		testStream.resume();
+		
+		expect(testStream.isPaused()).toBe(true);
+		
+		subscription.resume();
+		
+		expect(testStream.isPaused()).toBe(false);
+		
+		subscription.unsubscribe();
+	});
+	
+	test('subscribeWithVote() throws an error when the stream does not have pause ' +
+		'voting', () => {
+		const testStream = createTestPausableStream(_.range(10));
+		
+		expect(() => testStream.subscribeWithVote(() => {})).toThrow();
+		expect(() => createPausableStream(generateTestData([]), 
+			{ pauseVoting: 'most' })).toThrow();
+	});
+	
+	test('the stream can be paused before anyone subscribes to it', () => {
+		return new Promise((resolve, reject) => {
+			//Create the pausable stream that emits the test data and pause it right away
+			const testStream = createTestPausableStream(_.range(10));
+			
+			testStream.pause();
+			
+			const actualData = [];
+			
+			expect.assertions(2);
+			
+			testStream.onError(error => reject(error));
+			testStream.onValue(data => actualData.push(data));
+			
+			//Verify that the stream is still paused
+			setTimeout(() => {
+				expect(testStream.isPaused()).toBe(true);
+				expect(actualData.length).toBe(0);
+				
+				resolve();
+			}, 20);
+		});
+	});
+	
+	test('the paused property emits the pause state whenever it changes', () => {
+		return new Promise((resolve, reject) => {
+			//Create the pausable stream that emits the test data
+			const testStream = createTestPausableStream(_.range(30));
+			
+			//Collect the pause states
+			const pauseStates = [];
+			
+			testStream.pausedProperty.onValue(pauseValue => pauseStates.push(pauseValue));
+			
+			expect.assertions(3);
+			
+			let itemCount = 0;
+			
+			testStream.onError(error => reject(error));
+			testStream.onValue(data => {
+				itemCount = itemCount + 1;
+				
+				//Pause the stream twice after the fifth item
+				if(itemCount === 5) {
+					testStream.pause();
+					testStream.pause();
+					
+					//Verify that a late subscriber receives the current pause state and
+					//then resume the stream
+					setTimeout(() => {
+						const latePauseStates = [];
+						
+						testStream.pausedProperty.onValue(pauseValue => 
+							latePauseStates.push(pauseValue));
+						
+						expect(latePauseStates).toEqual([true]);
+						
+						testStream.resume();
+					}, 10);
+				}
+			});
+			
+			testStream.onEnd(() => {
+				//Verify that each change in the pause state was emitted once
+				expect(pauseStates).toEqual([false, true, false]);
+				expect(itemCount).toBe(30);
+				
+				resolve();
+			});
+		});
+	});
+	
+	test('the paused property can be combined with other Bacon observables', () => {
+		//Create the pausable stream that is initially paused
+		const testStream = createTestPausableStream(_.range(30), true);
+		
+		//Create a property that describes the pause state
+		let statusText = null;
+		
+		testStream.pausedProperty
+			.map(paused => paused ? 'paused' : 'running')
+			.onValue(text => statusText = text);
+		
+		expect(statusText).toBe('paused');
+		
+		testStream.resume();
+		
+		expect(statusText).toBe('running');
+	});
+	
+	test('the stream is paused and resumed by an external pauser', () => {
+		return new Promise((resolve, reject) => {
+			//Create an external stream that controls whether the stream is paused
+			const pauser = new Bacon.Bus();
+			
+			//Create the pausable stream that emits the test data
+			const testData = _.range(30);
+			const testStream = createPausableStream(generateTestData(testData), { pauser });
+			
+			const actualData = [];
+			
+			expect.assertions(3);
+			
+			testStream.onError(error => reject(error));
+			testStream.onValue(data => {
+				actualData.push(data);
+				
+				//Pause the stream using the pauser after the tenth item
+				if(data === 9) {
+					pauser.push(true);
+					
+					//Verify that the stream is paused and then resume it using the pauser
+					setTimeout(() => {
+						expect(testStream.isPaused()).toBe(true);
+						expect(actualData).toEqual(_.range(10));
+						
+						pauser.push(false);
+					}, 20);
+				}
+			});
+			
+			testStream.onEnd(() => {
+				//When the stream end, verify that we collected the expected data
+				expect(actualData).toEqual(testData);
+				
+				resolve();
+			});
+		});
+	});
+	
+	test('the stream takes its initial pause state from a pauser property', () => {
+		return new Promise((resolve, reject) => {
+			//Create a pauser property that starts out paused
+			const pauserBus = new Bacon.Bus();
+			const pauser = pauserBus.toProperty(true);
+			
+			//Create the pausable stream that emits the test data
+			const testData = _.range(10);
+			const testStream = createPausableStream(generateTestData(testData), { pauser });
+			
+			const actualData = [];
+			
+			expect.assertions(3);
+			
+			testStream.onError(error => reject(error));
+			testStream.onValue(data => actualData.push(data));
+			
+			//Verify that the stream is paused and then resume it using the pauser
+			setTimeout(() => {
+				expect(testStream.isPaused()).toBe(true);
+				expect(actualData.length).toBe(0);
+				
+				pauserBus.push(false);
+			}, 20);
+			
+			testStream.onEnd(() => {
+				//When the stream end, verify that we collected the expected data
+				expect(actualData).toEqual(testData);
+				
+				resolve();
+			});
+		});
+	});
+	
+	test('the stream can be paused by a pauser that is derived from another ' +
+		'observable', () => {
+		return new Promise((resolve, reject) => {
+			//Create a property that holds the length of a downstream queue, and pause the
+			//stream whenever the queue holds more than five items
+			const queue = [];
+			const queueLength = new Bacon.Bus();
+			const pauser = queueLength.toProperty(0).map(length => length > 5);
+			
+			//Create the pausable stream that emits the test data
+			const testData = _.range(30);
+			const testStream = createPausableStream(generateTestData(testData), { pauser });
+			
+			const actualData = [];
+			let maxQueueLength = 0;
+			
+			expect.assertions(2);
+			
+			testStream.onError(error => reject(error));
+			testStream.onValue(data => {
+				queue.push(data);
+				queueLength.push(queue.length);
+				
+				maxQueueLength = Math.max(maxQueueLength, queue.length);
+				
+				//Process the queue a bit later once the stream has been paused
+				if(queue.length === 6) {
+					setTimeout(() => {
+						actualData.push(...queue.splice(0));
+						
+						queueLength.push(queue.length);
+					}, 5);
+				}
+			});
+			
+			testStream.onEnd(() => {
+				actualData.push(...queue.splice(0));
+				
+				//When the stream end, verify that we collected the expected data
+				expect(actualData).toEqual(testData);
+				expect(maxQueueLength).toBe(6);
+				
+				resolve();
+			});
+		});
+	});
+	
+	test('the stream creation function throws an error when the pauser is not an ' +
+		'observable', () => {
+		expect(() => createPausableStream(generateTestData([]), { pauser: true }))
+			.toThrow();
+	});
+	
+	test('a stream in demand-driven mode does not generate values until they are ' +
+		'requested', () => {
+		return new Promise((resolve, reject) => {
+			let generatedCount = 0;
+			
+			//This generator function keeps track of how many values it generated
+			function* generator() {
+				while(true) {
+					generatedCount = generatedCount + 1;
+					
+					yield generatedCount;
+				}
+			}
+			
+			//Create the pausable stream in demand-driven mode
+			const testStream = createPausableStream(generator(), { demand: true });
+			
+			const actualData = [];
+			
+			expect.assertions(4);
+			
+			testStream.onError(error => reject(error));
+			testStream.onValue(data => actualData.push(data));
+			
+			//Verify that nothing was generated and then request five values
+			setTimeout(() => {
+				expect(generatedCount).toBe(0);
+				
+				testStream.request(5);
+				
+				//Verify that exactly five values were generated and emitted
+				setTimeout(() => {
+					expect(generatedCount).toBe(5);
+					expect(actualData).toEqual([1, 2, 3, 4, 5]);
+					expect(testStream.isPaused()).toBe(false);
+					
+					resolve();
+				}, 20);
+			}, 20);
+		});
+	});
+	
+	test('a stream in demand-driven mode emits all of its values when they are ' +
+		'requested in batches', () => {
+		return new Promise((resolve, reject) => {
+			//Create the test data
+			const testData = _.range(30);
+			
+			//Create the pausable stream in demand-driven mode
+			const testStream = createPausableStream(generateTestData(testData), 
+				{ demand: true });
+			
+			const actualData = [];
+			
+			expect.assertions(1);
+			
+			testStream.onError(error => reject(error));
+			testStream.onValue(data => {
+				actualData.push(data);
+				
+				//Request another batch when the current batch has been emitted
+				if(actualData.length % 4 === 0) {
+					setTimeout(() => testStream.request(4), 1);
+				}
+			});
+			
+			testStream.onEnd(() => {
+				//When the stream end, verify that we collected the expected data
+				expect(actualData).toEqual(testData);
+				
+				resolve();
+			});
+			
+			testStream.request(4);
+		});
+	});
+	
+	test('requests in demand-driven mode are not met while the stream is paused', () => {
+		return new Promise((resolve, reject) => {
+			//Create the test data
+			const testData = _.range(10);
+			
+			//Create the pausable stream in demand-driven mode
+			const testStream = createPausableStream(generateTestData(testData), 
+				{ demand: true, initiallyPaused: true });
+			
+			const actualData = [];
+			
+			expect.assertions(2);
+			
+			testStream.onError(error => reject(error));
+			testStream.onValue(data => actualData.push(data));
+			
+			testStream.request(3);
+			
+			//Verify that nothing was emitted and then resume the stream
+			setTimeout(() => {
+				expect(actualData.length).toBe(0);
+				
+				testStream.resume();
+				
+				//Verify that the requested values were emitted
+				setTimeout(() => {
+					expect(actualData).toEqual([0, 1, 2]);
+					
+					resolve();
+				}, 20);
+			}, 20);
+		});
+	});
+	
+	test('request() throws an error when the stream is not in demand-driven mode', () => {
+		const testStream = createTestPausableStream(_.range(10));
+		
+		expect(() => testStream.request(1)).toThrow();
+	});
+	
+	test('request() throws an error when the number of values is not a positive ' +
+		'integer', () => {
+		const testStream = createPausableStream(generateTestData(_.range(10)), 
+			{ demand: true });
+		
+		expect(() => testStream.request(0)).toThrow();
+		expect(() => testStream.request(-1)).toThrow();
+		expect(() => testStream.request(1.5)).toThrow();
+		expect(() => testStream.request('1')).toThrow();
+	});
+	
+	test('the stream stops at the high-water mark and starts again at the low-water ' +
+		'mark', () => {
+		return new Promise((resolve, reject) => {
+			//Create the pausable stream with water marks
+			const testStream = createPausableStream(generateTestData(_.range(30)), 
+				{ highWaterMark: 5, lowWaterMark: 2 });
+			
+			const actualData = [];
+			
+			expect.assertions(4);
+			
+			testStream.onError(error => reject(error));
+			testStream.onValue(data => actualData.push(data));
+			
+			//Verify that the stream stopped at the high-water mark
+			setTimeout(() => {
+				expect(actualData).toEqual(_.range(5));
+				
+				//Acknowledge two values, which is not enough to reach the low-water mark
+				testStream.acknowledge(2);
+				
+				setTimeout(() => {
+					expect(actualData).toEqual(_.range(5));
+					
+					//Acknowledge another value, which reaches the low-water mark
+					testStream.acknowledge();
+					
+					//Verify that values were generated until the high-water mark was
+					//reached again
+					setTimeout(() => {
+						expect(actualData).toEqual(_.range(8));
+						expect(testStream.isPaused()).toBe(false);
+						
+						resolve();
+					}, 20);
+				}, 20);
+			}, 20);
+		});
+	});
+	
+	test('acknowledge() throws an error when the number of values is not a positive ' +
+		'integer', () => {
+		const testStream = createPausableStream(generateTestData(_.range(10)), 
+			{ highWaterMark: 5 });
+		
+		expect(() => testStream.acknowledge(0)).toThrow();
+		expect(() => testStream.acknowledge(-5)).toThrow();
+		expect(() => testStream.acknowledge(1.5)).toThrow();
+		expect(() => testStream.acknowledge(NaN)).toThrow();
+		expect(() => testStream.acknowledge(Infinity)).toThrow();
+		expect(() => testStream.acknowledge('1')).toThrow();
+		expect(() => testStream.acknowledge(2)).not.toThrow();
+		expect(() => testStream.acknowledge()).not.toThrow();
+	});
+	
+	test('consume() processes all the values without exceeding the high-water mark', () => {
+		//Create the test data
+		const testData = _.range(30);
+		
+		//Create the pausable stream with a high-water mark
+		const testStream = createPausableStream(generateTestData(testData), 
+			{ highWaterMark: 4 });
+		
+		const actualData = [];
+		let pendingCount = 0;
+		let maxPendingCount = 0;
+		
+		expect.assertions(2);
+		
+		//Consume the stream using a handler that takes a while to process each value
+		return testStream.consume(data => {
+			pendingCount = pendingCount + 1;
+			maxPendingCount = Math.max(maxPendingCount, pendingCount);
+			
+			return new Promise(resolve => setTimeout(resolve, 2))
+				.then(() => {
+					pendingCount = pendingCount - 1;
+					
+					actualData.push(data);
+				});
+		})
+		.then(() => {
+			//Verify that all the values were processed and there were never too many
+			//values being processed at the same time
+			expect(actualData).toEqual(testData);
+			expect(maxPendingCount).toBe(4);
+		});
+	});
+	
+	test('consume() is rejected when the handler fails and the generator is closed', () => {
+		let generatorClosed = false;
+		
+		//This generator function keeps track of whether it has been closed
+		function* generator() {
+			try {
+				yield* _.range(30);
+			}
+			finally {
+				generatorClosed = true;
+			}
+		}
+		
+		//Create the pausable stream with a high-water mark
+		const testStream = createPausableStream(generator(), { highWaterMark: 4 });
+		
+		expect.assertions(2);
+		
+		//Consume the stream using a handler that fails on the third value
+		return testStream.consume(data => {
+			if(data === 2) {
+				throw new Error('handler error');
+			}
+		})
+		.catch(error => {
+			expect(error.message).toBe('handler error');
+			expect(generatorClosed).toBe(true);
+		});
+	});
+	
+	test('consume() is rejected when the stream emits an error', () => {
+		//Create the pausable stream that throws an error
+		const testStream = createPausableStream(generateThrowingData(_.range(5)));
+		
+		expect.assertions(1);
+		
+		return testStream.consume(() => {})
+			.catch(error => expect(error.message).toBe('generator error'));
+	});
+	
+	test('the stream creation function throws an error when the water marks are ' +
+		'invalid', () => {
+		const createStream = options => 
+			createPausableStream(generateTestData([]), options);
+		
+		expect(() => createStream({ highWaterMark: 0 })).toThrow();
+		expect(() => createStream({ highWaterMark: 2.5 })).toThrow();
+		expect(() => createStream({ highWaterMark: 5, lowWaterMark: 5 })).toThrow();
+		expect(() => createStream({ highWaterMark: 5, lowWaterMark: -1 })).toThrow();
+		expect(() => createStream({ highWaterMark: 5 })).not.toThrow();
+	});
+	
+	describe('with a rate limit,', () => {
+		beforeEach(() => jest.useFakeTimers());
+		afterEach(() => jest.useRealTimers());
+		
+		test('the generator is called at a fixed interval', () => {
+			//Create the pausable stream with a fixed interval of 100ms
+			const testStream = createPausableStream(generateTestData(_.range(10)), 
+				{ rateLimit: { interval: 100 } });
+			
+			const actualData = [];
+			
+			testStream.onValue(data => actualData.push(data));
+			
+			//Verify that the first value is generated immediately and the next ones
+			//after each interval
+			return flushMicrotasks()
+				.then(() => {
+					expect(actualData).toEqual([0]);
+					
+					jest.advanceTimersByTime(99);
+				})
+				.then(flushMicrotasks)
+				.then(() => {
+					expect(actualData).toEqual([0]);
+					
+					jest.advanceTimersByTime(1);
+				})
+				.then(flushMicrotasks)
+				.then(() => {
+					expect(actualData).toEqual([0, 1]);
+					
+					jest.advanceTimersByTime(300);
+				})
+				.then(flushMicrotasks)
+				.then(() => expect(actualData).toEqual([0, 1, 2]));
+		});
+		
+		test('the generator can be called in bursts', () => {
+			//Create the pausable stream with a burst of 3
+			const testStream = createPausableStream(generateTestData(_.range(10)), 
+				{ rateLimit: { interval: 100, burst: 3 } });
+			
+			const actualData = [];
+			
+			testStream.onValue(data => actualData.push(data));
+			
+			//Verify that the burst is generated immediately and the next ones are
+			//generated one at a time
+			return flushMicrotasks()
+				.then(() => {
+					expect(actualData).toEqual([0, 1, 2]);
+					
+					jest.advanceTimersByTime(100);
+				})
+				.then(flushMicrotasks)
+				.then(() => expect(actualData).toEqual([0, 1, 2, 3]));
+		});
+		
+		test('time spent paused does not add to the rate limit', () => {
+			//Create the pausable stream with a burst of 2
+			const testStream = createPausableStream(generateTestData(_.range(10)), 
+				{ rateLimit: { interval: 100, burst: 2 } });
+			
+			const actualData = [];
+			
+			testStream.onValue(data => actualData.push(data));
+			
+			return flushMicrotasks()
+				.then(() => {
+					expect(actualData).toEqual([0, 1]);
+					
+					//Pause the stream for a long time
+					testStream.pause();
+					
+					jest.advanceTimersByTime(1000);
+					
+					testStream.resume();
+				})
+				.then(flushMicrotasks)
+				.then(() => {
+					//Verify that no values were generated, since the time spent paused 
+					//did not add to the bucket
+					expect(actualData).toEqual([0, 1]);
+					
+					jest.advanceTimersByTime(100);
+				})
+				.then(flushMicrotasks)
+				.then(() => expect(actualData).toEqual([0, 1, 2]));
+		});
+		
+		test('the stream ends normally', () => {
+			//Create the pausable stream with a short interval
+			const testData = _.range(3);
+			const testStream = createPausableStream(generateTestData(testData), 
+				{ rateLimit: { interval: 10 } });
+			
+			const actualData = [];
+			let streamEnded = false;
+			
+			testStream.onValue(data => actualData.push(data));
+			testStream.onEnd(() => streamEnded = true);
+			
+			//Advance the timers one interval at a time until the stream ends
+			return _.range(4).reduce(promise => promise
+				.then(flushMicrotasks)
+				.then(() => jest.advanceTimersByTime(10)), Promise.resolve())
+				.then(flushMicrotasks)
+				.then(() => {
+					expect(actualData).toEqual(testData);
+					expect(streamEnded).toBe(true);
+				});
+		});
+		
+		test('the stream creation function throws an error when the rate limit is ' +
+			'invalid', () => {
+			expect(() => createPausableStream(generateTestData([]), 
+				{ rateLimit: { interval: -1 } })).toThrow();
+		});
+	});
+	
+	describe('with pauses that end by themselves,', () => {
+		beforeEach(() => jest.useFakeTimers());
+		afterEach(() => jest.useRealTimers());
+		
+		test('a stream paused for a duration is resumed after that duration', () => {
+			const testStream = createPausableStream(generateInfiniteData());
+			
+			testStream.onValue(() => {});
+			
+			testStream.pause({ for: 100 });
+			
+			expect(testStream.isPaused()).toBe(true);
+			
+			jest.advanceTimersByTime(99);
+			
+			expect(testStream.isPaused()).toBe(true);
+			
+			jest.advanceTimersByTime(1);
+			
+			expect(testStream.isPaused()).toBe(false);
+			
+			testStream.pause();
+		});
+		
+		test('resuming or pausing the stream again cancels the automatic resume', () => {
+			const testStream = createPausableStream(generateTestData(_.range(10)), true);
+			
+			testStream.pause({ for: 100 });
+			testStream.resume();
+			testStream.pause();
+			
+			jest.advanceTimersByTime(100);
+			
+			expect(testStream.isPaused()).toBe(true);
+			
+			testStream.pause({ for: 100 });
+			testStream.pause({ for: 500 });
+			
+			jest.advanceTimersByTime(100);
+			
+			expect(testStream.isPaused()).toBe(true);
+			
+			jest.advanceTimersByTime(400);
+			
+			expect(testStream.isPaused()).toBe(false);
+		});
+		
+		test('a stream is paused until a promise resolves', () => {
+			let resolvePromise = null;
+			
+			const testStream = createPausableStream(generateTestData(_.range(10)));
+			
+			testStream.pauseUntil(new Promise(resolve => resolvePromise = resolve));
+			
+			return flushMicrotasks()
+				.then(() => {
+					expect(testStream.isPaused()).toBe(true);
+					
+					resolvePromise();
+				})
+				.then(flushMicrotasks)
+				.then(() => expect(testStream.isPaused()).toBe(false));
+		});
+		
+		test('a stream is paused until an observable emits a value', () => {
+			const trigger = new Bacon.Bus();
+			
+			const testStream = createPausableStream(generateTestData(_.range(10)));
+			
+			testStream.pauseUntil(trigger);
+			
+			expect(testStream.isPaused()).toBe(true);
+			
+			trigger.push('go');
+			
+			expect(testStream.isPaused()).toBe(false);
+			
+			//Verify that the observable no longer controls the stream
+			testStream.pause();
+			trigger.push('go');
+			
+			expect(testStream.isPaused()).toBe(true);
+		});
+		
+		test('a stream that is paused until a promise resolves stays paused when it ' +
+			'ends first', () => {
+			let resolvePromise = null;
+			
+			const testStream = createPausableStream(generateTestData(_.range(10)));
+			const unsubscribe = testStream.onValue(() => {});
+			
+			testStream.pauseUntil(new Promise(resolve => resolvePromise = resolve));
+			
+			unsubscribe();
+			resolvePromise();
+			
+			return flushMicrotasks()
+				.then(() => {
+					expect(testStream.isEnded()).toBe(true);
+					expect(testStream.isPaused()).toBe(true);
+				});
+		});
+		
+		test('a stream that has been waiting for the consumer for too long is paused', () => {
+			const testStream = createPausableStream(generateInfiniteData(), 
+				{ demand: true, idleTimeout: 1000 });
+			
+			const actualData = [];
+			
+			testStream.onValue(data => actualData.push(data));
+			
+			testStream.request(2);
+			
+			return flushMicrotasks()
+				.then(() => {
+					expect(actualData).toEqual([0, 1]);
+					
+					jest.advanceTimersByTime(500);
+					
+					//Verify that requesting more values restarts the idle timeout
+					testStream.request(1);
+				})
+				.then(flushMicrotasks)
+				.then(() => {
+					jest.advanceTimersByTime(999);
+					
+					expect(testStream.isPaused()).toBe(false);
+					
+					jest.advanceTimersByTime(1);
+					
+					expect(actualData).toEqual([0, 1, 2]);
+					expect(testStream.isPaused()).toBe(true);
+				});
+		});
+		
+		test('invalid pauses throw an error', () => {
+			const testStream = createPausableStream(generateTestData([]));
+			
+			expect(() => testStream.pause({ for: -1 })).toThrow();
+			expect(() => testStream.pauseUntil(1000)).toThrow();
+			expect(() => createPausableStream(generateTestData([]), 
+				{ idleTimeout: 0 })).toThrow();
+		});
+		
+		test('pause() ignores arguments that are not plain objects', () => {
+			const testStream = createPausableStream(generateInfiniteData());
+			
+			//Pass pause() directly to onValue(), which calls it with the value
+			const pauser = new Bacon.Bus();
+			
+			pauser.onValue(testStream.pause);
+			pauser.push(true);
+			
+			expect(testStream.isPaused()).toBe(true);
+			
+			testStream.resume();
+			testStream.pause(250);
+			
+			//Verify that the number was not treated as a duration
+			jest.advanceTimersByTime(250);
+			
+			expect(testStream.isPaused()).toBe(true);
+		});
+		
+		test('a vote to resume does not cancel a timed pause', () => {
+			const testStream = createPausableStream(generateInfiniteData(), 
+				{ pauseVoting: 'any' });
+			
+			const subscription = testStream.subscribeWithVote(() => {});
+			
+			testStream.pause({ for: 100 });
+			subscription.pause();
+			subscription.resume();
+			
+			expect(testStream.isPaused()).toBe(true);
+			
+			//Verify that the stream is resumed when the pause has run out
+			jest.advanceTimersByTime(100);
+			
+			expect(testStream.isPaused()).toBe(false);
+			
+			subscription.unsubscribe();
+		});
+	});
+	
+	describe('with prefetching,', () => {
+		test('the stream emits all the values', () => {
+			const testStream = createPausableStream(generateTestData(_.range(20)), 
+				{ prefetch: 5 });
+			
+			return testDataStreaming(testStream, _.range(20));
+		});
+		
+		test('values are prefetched while the stream is paused', () => {
+			const testIterator = createAsyncTestIterator(_.range(20), 5);
+			const testStream = createPausableStream(testIterator, 
+				{ prefetch: 3, initiallyPaused: true });
+			
+			const actualData = [];
+			
+			testStream.onValue(data => actualData.push(data));
+			
+			return new Promise(resolve => setTimeout(resolve, 50))
+				.then(() => {
+					//Verify that the buffer was filled up to the cap, but nothing 
+					//was emitted
+					expect(actualData).toEqual([]);
+					expect(testIterator.callCount).toBe(3);
+					expect(testStream.getPrefetched()).toEqual([0, 1, 2]);
+					
+					testStream.resume();
+				})
+				.then(flushMicrotasks)
+				.then(() => {
+					//Verify that the prefetched values were emitted immediately
+					expect(actualData).toEqual([0, 1, 2]);
+					
+					testStream.pause();
+				});
+		});
+		
+		test('the prefetch buffer can be cleared', () => {
+			const testStream = createPausableStream(generateTestData(_.range(10)), 
+				{ prefetch: 3, initiallyPaused: true });
+			
+			const actualData = [];
+			
+			testStream.onValue(data => actualData.push(data));
+			
+			expect(testStream.getPrefetched()).toEqual([0, 1, 2]);
+			expect(testStream.clearPrefetched()).toBe(3);
+			expect(testStream.getPrefetched()).toEqual([3, 4, 5]);
+			
+			return new Promise(resolve => {
+				testStream.onEnd(resolve);
+				
+				testStream.resume();
+			})
+			.then(() => expect(actualData).toEqual(_.range(3, 10)));
+		});
+		
+		test('the end of the stream is not cleared from the prefetch buffer', () => {
+			const testStream = createPausableStream(generateTestData(_.range(2)), 
+				{ prefetch: 5, initiallyPaused: true });
+			
+			testStream.onValue(() => {});
+			
+			expect(testStream.clearPrefetched()).toBe(2);
+			
+			return new Promise(resolve => {
+				testStream.onEnd(resolve);
+				
+				testStream.resume();
+			})
+			.then(() => expect(testStream.isEnded()).toBe(true));
+		});
+		
+		test('an error thrown while prefetching is emitted in order', () => {
+			const testStream = createPausableStream(
+				createThrowingTestIterator(_.range(5), [2]), 
+				{ prefetch: 10, errorPolicy: 'continue' });
+			
+			const actualEvents = [];
+			
+			return new Promise((resolve, reject) => {
+				testStream.subscribe(event => {
+					if(isEnd(event)) {
+						resolve();
+					}
+					else {
+						actualEvents.push(isError(event) ? 'error' : getValue(event));
+					}
+				});
+			})
+			.then(() => expect(actualEvents).toEqual([0, 1, 'error', 3, 4]));
+		});
+		
+		test('the stream creation function throws an error when the prefetch option is ' +
+			'invalid', () => {
+			const createStream = options => createPausableStream(generateTestData([]), options);
+			
+			expect(() => createStream({ prefetch: 0 })).toThrow();
+			expect(() => createStream({ prefetch: 3, demand: true })).toThrow();
+			expect(() => createStream({ prefetch: 3, awaitInput: true })).toThrow();
+		});
+	});
+	
+	describe('in batching mode,', () => {
+		test('the values are emitted in arrays of the batch size', () => {
+			const testStream = createPausableStream(generateTestData(_.range(10)), 
+				{ batchSize: 4 });
+			
+			//Verify that the last batch contains the remaining values
+			return testDataStreaming(testStream, [[0, 1, 2, 3], [4, 5, 6, 7], [8, 9]]);
+		});
+		
+		test('a batch is pulled in a single pull cycle', () => {
+			//This generator function keeps track of how many values it generated
+			let generatedCount = 0;
+			
+			function* generator() {
+				while(true) {
+					generatedCount = generatedCount + 1;
+					
+					yield generatedCount;
+				}
+			}
+			
+			const testStream = createPausableStream(generator(), { batchSize: 100 });
+			
+			const actualData = [];
+			
+			testStream.onValue(data => {
+				actualData.push(data);
+				
+				testStream.pause();
+			});
+			
+			//Verify that the first batch was generated in the first pull cycle
+			return Promise.resolve()
+				.then(() => {
+					expect(generatedCount).toBe(100);
+					expect(actualData).toEqual([_.range(1, 101)]);
+				});
+		});
+		
+		test('the stream is paused at a batch boundary', () => {
+			return new Promise((resolve, reject) => {
+				const testStream = createPausableStream(generateTestData(_.range(10)), 
+					{ batchSize: 3 });
+				
+				const actualData = [];
+				
+				expect.assertions(2);
+				
+				testStream.onError(error => reject(error));
+				testStream.onValue(data => {
+					actualData.push(data);
+					
+					if(actualData.length === 1) {
+						testStream.pause();
+						
+						//Verify that no values were generated after the first batch, and
+						//then resume the stream
+						setTimeout(() => {
+							expect(actualData).toEqual([[0, 1, 2]]);
+							
+							testStream.resume();
+						}, 20);
+					}
+				});
+				testStream.onEnd(() => {
+					expect(actualData).toEqual([[0, 1, 2], [3, 4, 5], [6, 7, 8], [9]]);
+					
+					resolve();
+				});
+			});
+		});
+		
+		test('the current batch is emitted before an error', () => {
+			const testStream = createPausableStream(
+				createThrowingTestIterator(_.range(5), [3]), 
+				{ batchSize: 10, errorPolicy: 'continue' });
+			
+			const actualEvents = [];
+			
+			return new Promise((resolve, reject) => {
+				testStream.subscribe(event => {
+					if(isEnd(event)) {
+						resolve();
+					}
+					else {
+						actualEvents.push(isError(event) ? 'error' : getValue(event));
+					}
+				});
+			})
+			.then(() => expect(actualEvents).toEqual([[0, 1, 2], 'error', [4]]));
+		});
+		
+		test('values are acknowledged individually when a batched stream is ' +
+			'consumed', () => {
+			const actualData = [];
+			
+			const testStream = createPausableStream(generateTestData(_.range(10)), 
+				{ batchSize: 2, highWaterMark: 4 });
+			
+			return testStream.consume(data => actualData.push(data))
+				.then(() => expect(actualData).toEqual([[0, 1], [2, 3], [4, 5], [6, 7], [8, 9]]));
+		});
+		
+		test('the stream creation function throws an error when the batch options are ' +
+			'invalid', () => {
+			const createStream = options => createPausableStream(generateTestData([]), options);
+			
+			expect(() => createStream({ batchSize: 0 })).toThrow();
+			expect(() => createStream({ batchSize: 2.5 })).toThrow();
+			expect(() => createStream({ batchTime: 100 })).toThrow();
+			expect(() => createStream({ batchSize: 10, batchTime: -1 })).toThrow();
+		});
+		
+		describe('with a batch time,', () => {
+			beforeEach(() => jest.useFakeTimers());
+			afterEach(() => jest.useRealTimers());
+			
+			test('an unfinished batch is emitted when the batch time has passed', () => {
+				//Create a stream whose values take 40ms each to generate
+				const testStream = createPausableStream(
+					createAsyncTestIterator(_.range(10), 40), 
+					{ batchSize: 5, batchTime: 100 });
+				
+				const actualData = [];
+				
+				testStream.onValue(data => actualData.push(data));
+				
+				//Advance the timers one value at a time. The batch time starts when the
+				//first value arrives after 40ms, so the batch is emitted after 140ms
+				//with the values that were generated by then.
+				return _.range(3).reduce(promise => promise
+					.then(flushMicrotasks)
+					.then(() => jest.advanceTimersByTime(40)), Promise.resolve())
+					.then(flushMicrotasks)
+					.then(() => {
+						expect(actualData).toEqual([]);
+						
+						jest.advanceTimersByTime(20);
+					})
+					.then(flushMicrotasks)
+					.then(() => expect(actualData).toEqual([[0, 1, 2]]));
+			});
+		});
+	});
+	
+	test('values passed to send() are passed to the generator', () => {
+		return new Promise((resolve, reject) => {
+			//This generator function keeps track of the values that were passed to it
+			const receivedValues = [];
+			
+			function* generator() {
+				for(let count = 0; count < 5; count++) {
+					receivedValues.push(yield count);
+				}
+				
+				return new Bacon.End();
+			}
+			
+			//Create the pausable stream
+			const testStream = createPausableStream(generator());
+			
+			expect.assertions(1);
+			
+			testStream.onError(error => reject(error));
+			testStream.onValue(data => {
+				//Send an acknowledgement for every other value
+				if(data % 2 === 0) {
+					testStream.send(`ack ${data}`);
+				}
+			});
+			
+			testStream.onEnd(() => {
+				//Verify that each value sent was received once by the generator
+				expect(receivedValues).toEqual(['ack 0', undefined, 'ack 2', undefined, 'ack 4']);
+				
+				resolve();
+			});
+		});
+	});
+	
+	test('the nextInput option maps the last value to the input of the generator', () => {
+		//This generator function emits pages of data, starting with the page at the cursor
+		//that is passed to it
+		function* generatePages() {
+			let cursor = 0;
+			
+			while(cursor !== null) {
+				const nextCursor = cursor + 10 < 30 ? cursor + 10 : null;
+				
+				cursor = yield { items: _.range(cursor, cursor + 3), nextCursor };
+			}
+			
+			return new Bacon.End();
+		}
+		
+		//Create the pausable stream that passes the cursor of each page to the generator
+		const testStream = createPausableStream(generatePages(), 
+			{ nextInput: page => page.nextCursor });
+		
+		//Test the data streaming
+		return testDataStreaming(testStream.map(page => page.items), 
+			[[0, 1, 2], [10, 11, 12], [20, 21, 22]]);
+	});
+	
+	test('the stream waits for input when the awaitInput option is set', () => {
+		return new Promise((resolve, reject) => {
+			//This generator function doubles the values that are passed to it
+			function* generator() {
+				let input = yield 'start';
+				
+				while(input !== 'stop') {
+					input = yield input * 2;
+				}
+				
+				return new Bacon.End();
+			}
+			
+			//Create the pausable stream that waits for input
+			const testStream = createPausableStream(generator(), { awaitInput: true });
+			
+			const actualData = [];
+			
+			expect.assertions(4);
+			
+			testStream.onError(error => reject(error));
+			testStream.onValue(data => actualData.push(data));
+			
+			//Verify that the stream is waiting for input after the first value
+			setTimeout(() => {
+				expect(actualData).toEqual(['start']);
+				expect(testStream.isAwaitingInput()).toBe(true);
+				
+				testStream.send(1);
+				
+				//Verify that the stream is waiting for input again and then send more input
+				setTimeout(() => {
+					expect(actualData).toEqual(['start', 2]);
+					
+					testStream.send(5);
+					testStream.send('stop');
+				}, 20);
+			}, 20);
+			
+			testStream.onEnd(() => {
+				//Verify that only the last value that was sent before the generator was
+				//called again was passed to the generator
+				expect(actualData).toEqual(['start', 2]);
+				
+				resolve();
+			});
+		});
+	});
+	
+	test('waiting for input is a separate state from being paused', () => {
+		//This generator function emits the values that are passed to it
+		function* generator() {
+			let input = yield 'start';
+			
+			while(true) {
+				input = yield input;
+			}
+		}
+		
+		const testStream = createPausableStream(generator(), { awaitInput: true });
+		
+		const actualData = [];
+		const pausedValues = [];
+		const lifecycleTypes = [];
+		
+		testStream.pausedProperty.onValue(pausedValue => pausedValues.push(pausedValue));
+		testStream.lifecycle.onValue(event => lifecycleTypes.push(event.type));
+		
+		const unsubscribe = testStream.onValue(data => actualData.push(data));
+		
+		return flushMicrotasks()
+			.then(() => {
+				//Verify that the stream is waiting for input without being paused
+				expect(actualData).toEqual(['start']);
+				expect(testStream.isAwaitingInput()).toBe(true);
+				expect(testStream.isPaused()).toBe(false);
+				
+				//Resuming the stream doesn't make it continue
+				testStream.resume();
+				
+				return flushMicrotasks();
+			})
+			.then(() => {
+				expect(actualData).toEqual(['start']);
+				
+				//Pause the stream while it's waiting for input, so that sending a value
+				//doesn't make it continue until it has been resumed
+				testStream.pause();
+				testStream.send(1);
+				
+				expect(testStream.isAwaitingInput()).toBe(false);
+				
+				return flushMicrotasks();
+			})
+			.then(() => {
+				expect(actualData).toEqual(['start']);
+				
+				testStream.resume();
+				
+				return flushMicrotasks();
+			})
+			.then(() => {
+				expect(actualData).toEqual(['start', 1]);
+				expect(pausedValues).toEqual([false, true, false]);
+				expect(lifecycleTypes.filter(type => type === 'paused' || type === 'resumed'))
+					.toEqual(['paused', 'resumed']);
+				
+				unsubscribe();
+			});
+	});
+	
 	/**
 	 * Tests the streaming of data from a pausable stream
 	 *
@@ -491,6 +2767,39 @@ describe('testing the creation of pausable stream,', () => {
 		});				
 	}
 	
+	/**
+	 * Tests what a subscriber that subscribes to a stream after the first five values
+	 * have been emitted receives
+	 *
+	 * @param {string|number} lateSubscribers - the late subscriber policy of the stream
+	 * @param {Array.<*>} expectedReplay - the values that the late subscriber is
+	 *	expected to receive before the values emitted after it subscribed
+	 * @returns a promise that resolves when the test has completed
+	 */
+	function testLateSubscriber(lateSubscribers, expectedReplay) {
+		return new Promise((resolve, reject) => {
+			const testStream = createPausableStream(generateTestData(_.range(10)), 
+				{ lateSubscribers });
+			
+			const lateData = [];
+			
+			expect.assertions(1);
+			
+			testStream.onError(error => reject(error));
+			testStream.onValue(data => {
+				//Subscribe again after the fifth value
+				if(data === 4) {
+					testStream.onValue(data => lateData.push(data));
+					testStream.onEnd(() => {
+						expect(lateData).toEqual(expectedReplay.concat(_.range(5, 10)));
+						
+						resolve();
+					});
+				}
+			});
+		});
+	}
+	
 	/**
 	 * Creates a pausable stream that emits the elements in an array of test data
 	 *
@@ -508,16 +2817,68 @@ describe('testing the creation of pausable stream,', () => {
 	}
 	
 	/**
-	 * This generator function emits test data, and serves to generate events for
-	 * test Bacon streams
+	 * This generator function emits an increasing count forever
+	 */
+	function* generateInfiniteData() {
+		let count = 0;
+		
+		while(true) {
+			yield count;
+			
+			count = count + 1;
+		}
+	}	
+	/**
+	 * This generator function emits test data and then throws an error
 	 *
 	 * @param {Array.<*>} testData - an array of test data to be emitted
 	 */
-	function* generateTestData(testData) {
+	function* generateThrowingData(testData) {
 		for (data of testData) {
 			yield data;
 		}
 
-		return new Bacon.End();		
+		throw new Error('generator error');
+	}
+	
+	/**
+	 * Creates an async iterator that emits test data, and serves to generate events
+	 * for test Bacon streams. The iterator keeps track of how many times it has been
+	 * called and the maximum number of calls that were in progress at the same time.
+	 *
+	 * @param {Array.<*>} testData - an array of test data to be emitted
+	 * @param {number} [delay] - the number of milliseconds it takes to generate
+	 *	each value. This parameter defaults to 0.
+	 * @returns an async iterator that emits the test data
+	 */
+	function createAsyncTestIterator(testData, delay = 0) {
+		let index = 0;
+		let pendingCalls = 0;
+		
+		const iterator = {
+			callCount: 0,
+			maxPendingCalls: 0,
+			[Symbol.asyncIterator]: () => iterator,
+			next: () => {
+				iterator.callCount = iterator.callCount + 1;
+				pendingCalls = pendingCalls + 1;
+				iterator.maxPendingCalls = Math.max(iterator.maxPendingCalls, pendingCalls);
+				
+				return new Promise(resolve => {
+					setTimeout(() => {
+						pendingCalls = pendingCalls - 1;
+						
+						if(index < testData.length) {
+							resolve({ value: testData[index++], done: false });
+						}
+						else {
+							resolve({ value: new Bacon.End(), done: true });
+						}
+					}, delay);
+				});
+			}
+		};
+		
+		return iterator;
 	}
-});
\ No newline at end of file
+});
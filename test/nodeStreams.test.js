@@ -0,0 +1,311 @@
+const Bacon = require('baconjs');
+const _ = require('lodash');
+const { Readable, Writable } = require('stream');
+
+describe('testing the Node.js stream interop,', () => {
+	jest.resetModules();
+	
+	const createPausableStream = require('../src/index');
+	const { toNodeReadable, fromNodeReadable } = createPausableStream;
+	
+	test('a pausable stream can be piped into a slow Writable stream without generating ' +
+		'too many values ahead of time', () => {
+		return new Promise((resolve, reject) => {
+			//Create the test data
+			const testData = _.range(50);
+			
+			//Keep track of how many more values were generated than written
+			let generatedCount = 0;
+			let writtenCount = 0;
+			let maxAheadCount = 0;
+			
+			function* generator() {
+				for(data of testData) {
+					generatedCount = generatedCount + 1;
+					maxAheadCount = Math.max(maxAheadCount, generatedCount - writtenCount);
+					
+					yield data;
+				}
+				
+				return new Bacon.End();
+			}
+			
+			//Create a Readable stream from the pausable stream
+			const readable = toNodeReadable(createPausableStream(generator()), 
+				{ highWaterMark: 2 });
+			
+			//Create a Writable stream that takes a while to write each value
+			const actualData = [];
+			
+			const writable = new Writable({
+				objectMode: true,
+				highWaterMark: 2,
+				write: (data, encoding, callback) => {
+					setTimeout(() => {
+						writtenCount = writtenCount + 1;
+						
+						actualData.push(data);
+						
+						callback();
+					}, 1);
+				}
+			});
+			
+			expect.assertions(2);
+			
+			writable.on('error', error => reject(error));
+			writable.on('finish', () => {
+				//Verify that all the data was written and that the generator was never
+				//far ahead of the Writable stream
+				expect(actualData).toEqual(testData);
+				expect(maxAheadCount).toBeLessThanOrEqual(6);
+				
+				resolve();
+			});
+			
+			readable.pipe(writable);
+		});
+	});
+	
+	test('a pausable stream is not read until the Readable stream is read', () => {
+		return new Promise((resolve, reject) => {
+			let generatedCount = 0;
+			
+			function* generator() {
+				while(true) {
+					generatedCount = generatedCount + 1;
+					
+					yield generatedCount;
+				}
+			}
+			
+			//Create a Readable stream from the pausable stream
+			const pausableStream = createPausableStream(generator());
+			const readable = toNodeReadable(pausableStream);
+			
+			expect.assertions(2);
+			
+			//Verify that nothing was generated and then destroy the Readable stream
+			setTimeout(() => {
+				expect(generatedCount).toBe(0);
+				expect(pausableStream.isPaused()).toBe(true);
+				
+				readable.destroy();
+				
+				resolve();
+			}, 20);
+		});
+	});
+	
+	test('an error in the pausable stream destroys the Readable stream', () => {
+		return new Promise((resolve, reject) => {
+			function* generator() {
+				yield 1;
+				
+				throw new Error('generator error');
+			}
+			
+			//Create a Readable stream from the pausable stream
+			const readable = toNodeReadable(createPausableStream(generator()));
+			
+			expect.assertions(2);
+			
+			readable.on('error', error => {
+				expect(error.message).toBe('generator error');
+				expect(readable.destroyed).toBe(true);
+				
+				resolve();
+			});
+			
+			readable.resume();
+		});
+	});
+	
+	test('a null value destroys the Readable stream with an error', () => {
+		return new Promise((resolve, reject) => {
+			function* generator() {
+				yield 1;
+				yield null;
+				yield 3;
+				
+				return new Bacon.End();
+			}
+			
+			const readable = toNodeReadable(createPausableStream(generator()));
+			const receivedData = [];
+			
+			expect.assertions(3);
+			
+			readable.on('data', data => receivedData.push(data));
+			
+			readable.on('error', error => {
+				expect(error.message).toMatch('null');
+				expect(readable.destroyed).toBe(true);
+				expect(receivedData).toEqual([1]);
+				
+				resolve();
+			});
+		});
+	});
+	
+	test('the return value of a generator without a return statement is not pushed', () => {
+		return new Promise((resolve, reject) => {
+			function* generator() {
+				yield 1;
+				yield undefined;
+				yield 2;
+			}
+			
+			const readable = toNodeReadable(createPausableStream(generator()));
+			const receivedData = [];
+			
+			readable.on('data', data => receivedData.push(data));
+			
+			readable.on('end', () => {
+				expect(receivedData).toEqual([1, undefined, 2]);
+				
+				resolve();
+			});
+		});
+	});
+	
+	test('toNodeReadable() throws an error when the stream is not a pausable stream', () => {
+		expect(() => toNodeReadable(Bacon.once(1))).toThrow();
+	});
+	
+	test('a pausable stream can be created from a Readable stream', () => {
+		return new Promise((resolve, reject) => {
+			//Create the test data
+			const testData = _.range(30);
+			
+			//Create a pausable stream from a Readable stream
+			const testStream = fromNodeReadable(createTestReadable(testData));
+			
+			const actualData = [];
+			
+			expect.assertions(2);
+			
+			testStream.onError(error => reject(error));
+			testStream.onValue(data => {
+				actualData.push(data);
+				
+				//Pause the stream after the tenth item
+				if(actualData.length === 10) {
+					testStream.pause();
+					
+					//Verify that the stream is paused and then resume it
+					setTimeout(() => {
+						expect(actualData).toEqual(_.range(10));
+						
+						testStream.resume();
+					}, 20);
+				}
+			});
+			
+			testStream.onEnd(() => {
+				//When the stream end, verify that we collected the expected data
+				expect(actualData).toEqual(testData);
+				
+				resolve();
+			});
+		});
+	});
+	
+	test('the Readable stream is not read while the pausable stream is paused', () => {
+		return new Promise((resolve, reject) => {
+			//Create a Readable stream that keeps track of how often it has been read
+			const readable = createTestReadable(_.range(1000), { highWaterMark: 4 });
+			
+			//Create a pausable stream from the Readable stream that is initially paused
+			const testStream = fromNodeReadable(readable, { initiallyPaused: true });
+			
+			expect.assertions(1);
+			
+			testStream.onError(error => reject(error));
+			testStream.onValue(() => {});
+			
+			//Verify that the Readable stream did not read past its buffer
+			setTimeout(() => {
+				expect(readable.readCount).toBeLessThanOrEqual(4);
+				
+				readable.destroy();
+				
+				resolve();
+			}, 20);
+		});
+	});
+	
+	test('the Readable stream is destroyed when the pausable stream is torn down', () => {
+		return new Promise((resolve, reject) => {
+			//Create a pausable stream from a Readable stream
+			const readable = createTestReadable(_.range(1000));
+			const testStream = fromNodeReadable(readable);
+			
+			expect.assertions(1);
+			
+			//Only take the first five values
+			testStream.take(5).onEnd(() => {
+				//Verify that the Readable stream was destroyed
+				setTimeout(() => {
+					expect(readable.destroyed).toBe(true);
+					
+					resolve();
+				}, 20);
+			});
+		});
+	});
+	
+	test('an error in the Readable stream is emitted by the pausable stream', () => {
+		return new Promise((resolve, reject) => {
+			//Create a Readable stream that fails
+			const readable = new Readable({
+				objectMode: true,
+				read: () => readable.destroy(new Error('readable error'))
+			});
+			
+			//Create a pausable stream from the Readable stream
+			const testStream = fromNodeReadable(readable);
+			
+			const actualErrors = [];
+			
+			expect.assertions(1);
+			
+			testStream.onError(error => actualErrors.push(error));
+			testStream.onEnd(() => {
+				expect(actualErrors.map(error => error.message)).toEqual(['readable error']);
+				
+				resolve();
+			});
+		});
+	});
+	
+	test('fromNodeReadable() throws an error when the readable is not a Readable ' +
+		'stream', () => {
+		expect(() => fromNodeReadable({})).toThrow();
+		expect(() => fromNodeReadable(null)).toThrow();
+	});
+	
+	/**
+	 * Creates a Readable stream in object mode that emits test data, and keeps track
+	 * of how many times data has been read from it
+	 *
+	 * @param {Array.<*>} testData - an array of test data to be emitted
+	 * @param {Object} [readableOptions] - options that are passed to the Readable stream
+	 * @returns a Readable stream that emits the test data
+	 */
+	function createTestReadable(testData, readableOptions = {}) {
+		let index = 0;
+		
+		const readable = new Readable(Object.assign({ objectMode: true }, readableOptions, {
+			read: () => {
+				readable.readCount = readable.readCount + 1;
+				
+				readable.push(index < testData.length ? testData[index++] : null);
+			}
+		}));
+		
+		readable.readCount = 0;
+		
+		return readable;
+	}
+});
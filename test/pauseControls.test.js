@@ -0,0 +1,91 @@
+const Bacon = require('baconjs');
+const _ = require('lodash');
+const { generateTestData } = require('./helpers/testStreams');
+
+describe('testing the pause controls of derived streams,', () => {
+	jest.resetModules();
+	
+	const createPausableStream = require('../src/index');
+	
+	test('a derived stream can pause and resume the source stream', () => {
+		return new Promise((resolve, reject) => {
+			//Create the test data
+			const testData = _.range(30);
+			
+			//Create a pausable stream and derive a stream from it
+			const testStream = createPausableStream(generateTestData(testData));
+			const squareStream = testStream
+				.map(number => number * number)
+				.filter(square => square % 2 === 0);
+			
+			const actualData = [];
+			
+			expect.assertions(3);
+			
+			squareStream.onError(error => reject(error));
+			squareStream.onValue(square => {
+				actualData.push(square);
+				
+				//Pause the derived stream after the fifth square
+				if(actualData.length === 5) {
+					squareStream.pause();
+					
+					//Verify that the source stream was paused and then resume it using
+					//the derived stream
+					setTimeout(() => {
+						expect(testStream.isPaused()).toBe(true);
+						expect(actualData.length).toBe(5);
+						
+						squareStream.resume();
+					}, 20);
+				}
+			});
+			
+			squareStream.onEnd(() => {
+				//When the stream end, verify that we collected the expected data
+				expect(actualData).toEqual(testData
+					.map(number => number * number)
+					.filter(square => square % 2 === 0));
+				
+				resolve();
+			});
+		});
+	});
+	
+	test('streams derived using flatMap and take keep the pause controls', () => {
+		//Create a pausable stream and derive streams from it
+		const testStream = createPausableStream(generateTestData(_.range(30)), true);
+		const derivedStream = testStream
+			.flatMap(number => Bacon.once(number))
+			.take(5)
+			.skipDuplicates();
+		
+		//Verify that the derived stream has the same pause controls
+		expect(derivedStream.isPaused()).toBe(true);
+		expect(derivedStream.pausedProperty).toBe(testStream.pausedProperty);
+		
+		derivedStream.resume();
+		
+		expect(testStream.isPaused()).toBe(false);
+	});
+	
+	test('a property derived from a pausable stream keeps the pause controls', () => {
+		//Create a pausable stream and derive a property from it
+		const testStream = createPausableStream(generateTestData(_.range(30)));
+		const sumProperty = testStream.scan(0, (sum, number) => sum + number);
+		
+		sumProperty.pause();
+		
+		expect(sumProperty.isPaused()).toBe(true);
+		expect(testStream.isPaused()).toBe(true);
+	});
+	
+	test('combining a pausable stream with other observables does not keep the pause ' +
+		'controls', () => {
+		//Create a pausable stream and combine it with another stream
+		const testStream = createPausableStream(generateTestData(_.range(30)));
+		const combinedStream = Bacon.combineAsArray(testStream, Bacon.constant(1));
+		
+		expect(combinedStream.pause).toBeUndefined();
+	});
+});
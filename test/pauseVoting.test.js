@@ -0,0 +1,72 @@
+describe('testing pause votes,', () => {
+	jest.resetModules();
+	
+	const createPauseVote = require('../src/pauseVoting');
+	
+	test('with the any policy, a single vote to pause decides the outcome', () => {
+		const onDecision = jest.fn();
+		const pauseVote = createPauseVote('any', onDecision);
+		
+		const voters = [pauseVote.addVoter(), pauseVote.addVoter()];
+		
+		voters[0].pause();
+		voters[1].pause();
+		
+		expect(onDecision.mock.calls).toEqual([[true]]);
+		
+		voters[0].resume();
+		
+		expect(onDecision.mock.calls).toEqual([[true]]);
+		
+		voters[1].resume();
+		
+		expect(onDecision.mock.calls).toEqual([[true], [false]]);
+	});
+	
+	test('with the all policy, every voter has to vote to pause', () => {
+		const onDecision = jest.fn();
+		const pauseVote = createPauseVote('all', onDecision);
+		
+		const voters = [pauseVote.addVoter(), pauseVote.addVoter()];
+		
+		voters[0].pause();
+		
+		expect(onDecision).not.toHaveBeenCalled();
+		expect(voters[0].isPausing()).toBe(true);
+		
+		voters[1].pause();
+		
+		expect(onDecision.mock.calls).toEqual([[true]]);
+		
+		//Verify that a new voter, who votes to resume, changes the outcome
+		pauseVote.addVoter();
+		
+		expect(onDecision.mock.calls).toEqual([[true], [false]]);
+	});
+	
+	test('a voter that has been removed no longer counts', () => {
+		const onDecision = jest.fn();
+		const pauseVote = createPauseVote('all', onDecision);
+		
+		const voters = [pauseVote.addVoter(), pauseVote.addVoter()];
+		
+		voters[0].pause();
+		voters[1].remove();
+		
+		expect(onDecision.mock.calls).toEqual([[true]]);
+		
+		//Verify that the removed voter can't vote anymore
+		voters[1].resume();
+		
+		expect(onDecision.mock.calls).toEqual([[true]]);
+		
+		//Verify that a vote without any voters doesn't pause the stream
+		voters[0].remove();
+		
+		expect(onDecision.mock.calls).toEqual([[true], [false]]);
+	});
+	
+	test('an invalid voting policy throws an error', () => {
+		expect(() => createPauseVote('most', () => {})).toThrow();
+	});
+});
@@ -0,0 +1,88 @@
+const _ = require('lodash');
+
+describe('testing the rate limiter,', () => {
+	jest.resetModules();
+	
+	const createRateLimiter = require('../src/rateLimiter');
+	
+	beforeEach(() => jest.useFakeTimers());
+	afterEach(() => jest.useRealTimers());
+	
+	test('the bucket starts out full', () => {
+		const rateLimiter = createRateLimiter({ interval: 100, burst: 3 }, () => {});
+		
+		rateLimiter.start();
+		
+		//Take all the tokens in the bucket
+		_.times(3, () => {
+			expect(rateLimiter.hasToken()).toBe(true);
+			
+			rateLimiter.takeToken();
+		});
+		
+		expect(rateLimiter.hasToken()).toBe(false);
+	});
+	
+	test('a token is added to the bucket after each interval', () => {
+		const onTokenAdded = jest.fn();
+		const rateLimiter = createRateLimiter({ interval: 100, burst: 2 }, onTokenAdded);
+		
+		rateLimiter.start();
+		rateLimiter.takeToken();
+		rateLimiter.takeToken();
+		
+		//Verify that no token has been added before the interval has passed
+		jest.advanceTimersByTime(99);
+		
+		expect(rateLimiter.hasToken()).toBe(false);
+		expect(onTokenAdded).not.toHaveBeenCalled();
+		
+		//Verify that a token is added after the interval
+		jest.advanceTimersByTime(1);
+		
+		expect(rateLimiter.hasToken()).toBe(true);
+		expect(onTokenAdded).toHaveBeenCalledTimes(1);
+		
+		//Verify that tokens are not added beyond the size of the bucket
+		jest.advanceTimersByTime(1000);
+		
+		expect(onTokenAdded).toHaveBeenCalledTimes(2);
+	});
+	
+	test('no tokens are added while the rate limiter is stopped', () => {
+		const onTokenAdded = jest.fn();
+		const rateLimiter = createRateLimiter({ interval: 100 }, onTokenAdded);
+		
+		rateLimiter.start();
+		rateLimiter.takeToken();
+		
+		//Stop the rate limiter part way through the interval
+		jest.advanceTimersByTime(50);
+		
+		rateLimiter.stop();
+		
+		jest.advanceTimersByTime(1000);
+		
+		expect(rateLimiter.hasToken()).toBe(false);
+		
+		//Verify that it takes a full interval to add a token after starting again
+		rateLimiter.start();
+		
+		jest.advanceTimersByTime(99);
+		
+		expect(rateLimiter.hasToken()).toBe(false);
+		
+		jest.advanceTimersByTime(1);
+		
+		expect(rateLimiter.hasToken()).toBe(true);
+		expect(onTokenAdded).toHaveBeenCalledTimes(1);
+	});
+	
+	test('the rate limiter throws an error when the options are invalid', () => {
+		expect(() => createRateLimiter(null, () => {})).toThrow();
+		expect(() => createRateLimiter({}, () => {})).toThrow();
+		expect(() => createRateLimiter({ interval: 0 }, () => {})).toThrow();
+		expect(() => createRateLimiter({ interval: 100, burst: 0 }, () => {})).toThrow();
+		expect(() => createRateLimiter({ interval: 100, burst: 1.5 }, () => {})).toThrow();
+	});
+});
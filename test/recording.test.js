@@ -0,0 +1,242 @@
+const Bacon = require('baconjs');
+const _ = require('lodash');
+const { collectEvents, createThrowingTestIterator, generateTestData } = 
+	require('./helpers/testStreams');
+
+describe('testing the recording and replaying of streams,', () => {
+	jest.resetModules();
+	
+	const createPausableStream = require('../src/index');
+	const { recordStream, replayRecording, createVirtualClock } = createPausableStream;
+	
+	test('the values, errors and end of a stream are recorded', () => {
+		const clock = createVirtualClock();
+		
+		const testStream = createPausableStream(createThrowingTestIterator(_.range(3), [1]), 
+			{ errorPolicy: 'continue' });
+		
+		const recording = recordStream(testStream, { clock });
+		
+		return recording.finished
+			.then(entries => {
+				expect(entries.map(entry => _.omit(entry, 'error'))).toEqual([
+					{ type: 'value', time: 0, value: 0 },
+					{ type: 'error', time: 0 },
+					{ type: 'value', time: 0, value: 2 },
+					{ type: 'end', time: 0 }
+				]);
+				
+				expect(_.pick(entries[1].error, ['name', 'message']))
+					.toEqual({ name: 'Error', message: 'error at 1' });
+			});
+	});
+	
+	test('the pauses of a stream are recorded with their timing', () => {
+		const clock = createVirtualClock();
+		
+		const testStream = createPausableStream(generateTestData(_.range(3)), 
+			{ initiallyPaused: true });
+		
+		const recording = recordStream(testStream, { clock });
+		
+		return clock.advance(50)
+			.then(() => {
+				testStream.resume();
+				
+				return recording.finished;
+			})
+			.then(entries => {
+				expect(entries).toEqual([
+					{ type: 'paused', time: 0 },
+					{ type: 'resumed', time: 50 },
+					{ type: 'value', time: 50, value: 0 },
+					{ type: 'value', time: 50, value: 1 },
+					{ type: 'value', time: 50, value: 2 },
+					{ type: 'end', time: 50 }
+				]);
+			});
+	});
+	
+	test('stopping a recording unsubscribes from the stream', () => {
+		const testStream = createPausableStream(generateTestData(_.range(10)), 
+			{ initiallyPaused: true });
+		
+		const recording = recordStream(testStream);
+		
+		recording.stop();
+		
+		return recording.finished
+			.then(entries => {
+				expect(entries.map(entry => entry.type)).toEqual(['paused']);
+				expect(testStream.isEnded()).toBe(true);
+			});
+	});
+	
+	test('a recording saved as NDJSON is replayed with the same events', () => {
+		const testStream = createPausableStream(createThrowingTestIterator(_.range(3), [1]), 
+			{ errorPolicy: 'continue' });
+		
+		const recording = recordStream(testStream);
+		
+		return recording.finished
+			.then(() => {
+				const ndjson = recording.toNDJSON();
+				
+				expect(ndjson.split('\n').length).toBe(5);
+				
+				return collectEvents(replayRecording(ndjson));
+			})
+			.then(actualEvents => expect(actualEvents).toEqual([0, 'error at 1', 2]));
+	});
+	
+	test('an error that is not an Error object is replayed as it was', () => {
+		const entries = [
+			{ type: 'error', time: 0, value: 'failed' },
+			{ type: 'end', time: 0 }
+		];
+		
+		return new Promise(resolve => {
+			replayRecording(entries).onError(error => {
+				expect(error).toBe('failed');
+				
+				resolve();
+			});
+		});
+	});
+	
+	test('a replayed stream ends after the last entry, even without an end entry', () => {
+		const entries = [{ type: 'value', time: 0, value: 1 }];
+		
+		return collectEvents(replayRecording(entries))
+			.then(actualEvents => expect(actualEvents).toEqual([1]));
+	});
+	
+	test('a replayed stream can be paused and resumed', () => {
+		return new Promise((resolve, reject) => {
+			const entries = _.range(10).map(index => ({ type: 'value', time: 0, value: index }));
+			
+			const replayStream = replayRecording(entries);
+			
+			const actualData = [];
+			
+			expect.assertions(2);
+			
+			replayStream.onError(error => reject(error));
+			replayStream.onValue(data => {
+				actualData.push(data);
+				
+				if(data === 4) {
+					replayStream.pause();
+					
+					setTimeout(() => {
+						expect(actualData).toEqual(_.range(5));
+						
+						replayStream.resume();
+					}, 10);
+				}
+			});
+			replayStream.onEnd(() => {
+				expect(actualData).toEqual(_.range(10));
+				
+				resolve();
+			});
+		});
+	});
+	
+	test('a recording is replayed with the original timing on a virtual clock', () => {
+		const clock = createVirtualClock();
+		
+		const entries = [
+			{ type: 'value', time: 0, value: 'a' },
+			{ type: 'value', time: 100, value: 'b' },
+			{ type: 'value', time: 250, value: 'c' },
+			{ type: 'end', time: 250 }
+		];
+		
+		const actualData = [];
+		
+		replayRecording(entries, { timing: 'original', clock })
+			.onValue(data => actualData.push(data));
+		
+		return clock.advance(0)
+			.then(() => {
+				expect(actualData).toEqual(['a']);
+				
+				return clock.advance(99);
+			})
+			.then(() => {
+				expect(actualData).toEqual(['a']);
+				
+				return clock.advance(1);
+			})
+			.then(() => {
+				expect(actualData).toEqual(['a', 'b']);
+				
+				return clock.advance(150);
+			})
+			.then(() => expect(actualData).toEqual(['a', 'b', 'c']));
+	});
+	
+	test('the time spent paused is left out unless the pauses are replayed', () => {
+		const entries = [
+			{ type: 'value', time: 0, value: 'a' },
+			{ type: 'paused', time: 10 },
+			{ type: 'resumed', time: 1010 },
+			{ type: 'value', time: 1020, value: 'b' },
+			{ type: 'end', time: 1020 }
+		];
+		
+		//Replay the recording without and with the pauses
+		const clocks = [createVirtualClock(), createVirtualClock()];
+		const actualData = [[], []];
+		
+		const replayStreams = clocks.map((clock, index) => 
+			replayRecording(entries, { timing: 'original', clock, replayPauses: index === 1 }));
+		
+		replayStreams.forEach((replayStream, index) => 
+			replayStream.onValue(data => actualData[index].push(data)));
+		
+		return Promise.all(clocks.map(clock => clock.advance(20)))
+			.then(() => {
+				expect(actualData).toEqual([['a', 'b'], ['a']]);
+				expect(replayStreams[1].isPaused()).toBe(true);
+				
+				return clocks[1].advance(1000);
+			})
+			.then(() => {
+				expect(actualData[1]).toEqual(['a', 'b']);
+				expect(replayStreams[1].isPaused()).toBe(false);
+			});
+	});
+	
+	test('invalid arguments throw an error', () => {
+		expect(() => recordStream(Bacon.once(1))).toThrow();
+		expect(() => replayRecording({})).toThrow();
+		expect(() => replayRecording([], { timing: 'slow' })).toThrow();
+		expect(() => replayRecording([], { timing: 'original', clock: {} })).toThrow();
+	});
+	
+	test('a virtual clock runs the timers in order as it is moved forward', () => {
+		const clock = createVirtualClock(1000);
+		
+		const firedTimers = [];
+		
+		clock.setTimeout(() => firedTimers.push(['b', clock.now()]), 20);
+		clock.setTimeout(() => {
+			firedTimers.push(['a', clock.now()]);
+			
+			//A timer that is set by a timer is also run if it is due
+			clock.setTimeout(() => firedTimers.push(['c', clock.now()]), 15);
+		}, 10);
+		
+		const cancelledTimer = clock.setTimeout(() => firedTimers.push(['x']), 5);
+		
+		clock.clearTimeout(cancelledTimer);
+		
+		return clock.advance(30)
+			.then(() => {
+				expect(firedTimers).toEqual([['a', 1010], ['b', 1020], ['c', 1025]]);
+				expect(clock.now()).toBe(1030);
+			});
+	});
+});
@@ -0,0 +1,275 @@
+const _ = require('lodash');
+const { flushMicrotasks, generateTestData } = require('./helpers/testStreams');
+
+describe('testing the shared scheduler,', () => {
+	jest.resetModules();
+	
+	const createPausableStream = require('../src/index');
+	const { createScheduler } = require('../src/scheduler');
+	
+	test('with the round-robin policy, the streams take turns', () => {
+		const scheduler = createScheduler();
+		
+		const emittedValues = [];
+		
+		const streams = ['a', 'b'].map(name => createPausableStream(
+			generateTestData(_.range(3).map(index => name + index)), 
+			{ scheduler: scheduler.register() }));
+		
+		return Promise.all(streams.map(stream => collectValues(stream, emittedValues)))
+			.then(() => {
+				expect(emittedValues).toEqual(['a0', 'b0', 'a1', 'b1', 'a2', 'b2']);
+			});
+	});
+	
+	test('with the priority policy, the stream with the highest priority goes first', () => {
+		const scheduler = createScheduler({ policy: 'priority' });
+		
+		const emittedValues = [];
+		
+		//Create three streams, where the last two streams have the same priority
+		const streams = [['a', 0], ['b', 1], ['c', 1]].map(([name, priority]) => 
+			createPausableStream(generateTestData(_.range(3).map(index => name + index)), 
+				{ scheduler: scheduler.register({ priority }) }));
+		
+		return Promise.all(streams.map(stream => collectValues(stream, emittedValues)))
+			.then(() => {
+				expect(emittedValues).toEqual(['b0', 'c0', 'b1', 'c1', 'b2', 'c2', 
+					'a0', 'a1', 'a2']);
+			});
+	});
+	
+	test('the concurrency limits the number of tasks running at the same time', () => {
+		const scheduler = createScheduler({ concurrency: 2 });
+		
+		const scheduleTask = scheduler.register();
+		
+		//Schedule tasks that keep running until they are finished by the test
+		const tasks = _.range(3).map(() => createTestTask());
+		
+		tasks.forEach(task => scheduleTask(task.run));
+		
+		return flushMicrotasks()
+			.then(() => {
+				expect(tasks.map(task => task.started)).toEqual([true, true, false]);
+				expect(scheduler.waitingCount()).toBe(1);
+				
+				//Verify that the waiting task starts once a running task has finished
+				tasks[0].finish();
+				
+				return flushMicrotasks();
+			})
+			.then(() => {
+				expect(tasks[2].started).toBe(true);
+				expect(scheduler.waitingCount()).toBe(0);
+			});
+	});
+	
+	test('the tasks of a paused group wait until the group is resumed', () => {
+		const scheduler = createScheduler();
+		
+		const startedTasks = [];
+		
+		const scheduleImportTask = scheduler.register({ group: 'imports' });
+		const scheduleExportTask = scheduler.register({ group: 'exports' });
+		
+		scheduler.pauseGroup('imports');
+		
+		expect(scheduler.isGroupPaused('imports')).toBe(true);
+		expect(scheduler.isGroupPaused('exports')).toBe(false);
+		
+		scheduleImportTask(() => startedTasks.push('import'));
+		scheduleExportTask(() => startedTasks.push('export'));
+		
+		return flushMicrotasks()
+			.then(() => {
+				expect(startedTasks).toEqual(['export']);
+				
+				scheduler.resumeGroup('imports');
+				
+				return flushMicrotasks();
+			})
+			.then(() => {
+				expect(startedTasks).toEqual(['export', 'import']);
+				expect(scheduler.isGroupPaused('imports')).toBe(false);
+			});
+	});
+	
+	test('the streams in a paused group stop generating values', () => {
+		const scheduler = createScheduler();
+		
+		const testStream = createPausableStream(generateTestData(_.range(10)), 
+			{ scheduler: scheduler.register({ group: 'numbers' }) });
+		
+		const emittedValues = [];
+		
+		const streamFinished = collectValues(testStream, emittedValues);
+		
+		scheduler.pauseGroup('numbers');
+		
+		return flushMicrotasks()
+			.then(() => {
+				expect(emittedValues).toEqual([]);
+				
+				scheduler.resumeGroup('numbers');
+				
+				return streamFinished;
+			})
+			.then(() => expect(emittedValues).toEqual(_.range(10)));
+	});
+	
+	test('the streams in a paused group are paused themselves', () => {
+		const scheduler = createScheduler();
+		
+		//This iterator generates each value when the test resolves it
+		let resolveValue = null;
+		
+		const testIterator = {
+			next: () => new Promise(resolve => resolveValue = resolve)
+		};
+		
+		const testStream = createPausableStream(testIterator, 
+			{ scheduler: scheduler.register({ group: 'numbers' }) });
+		
+		const emittedValues = [];
+		const pausedValues = [];
+		const lifecycleTypes = [];
+		
+		testStream.pausedProperty.onValue(pausedValue => pausedValues.push(pausedValue));
+		testStream.lifecycle.onValue(event => lifecycleTypes.push(event.type));
+		
+		const unsubscribe = testStream.onValue(value => emittedValues.push(value));
+		
+		return flushMicrotasks()
+			.then(() => {
+				//Pause the group while the first value is being generated
+				scheduler.pauseGroup('numbers');
+				
+				expect(testStream.isPaused()).toBe(true);
+				
+				resolveValue({ value: 1, done: false });
+				
+				return flushMicrotasks();
+			})
+			.then(() => {
+				//Verify that the value was held while the group was paused
+				expect(emittedValues).toEqual([]);
+				
+				scheduler.resumeGroup('numbers');
+				
+				expect(testStream.isPaused()).toBe(false);
+				
+				return flushMicrotasks();
+			})
+			.then(() => {
+				expect(emittedValues).toEqual([1]);
+				expect(pausedValues).toEqual([false, true, false]);
+				expect(lifecycleTypes.filter(type => type === 'paused' || type === 'resumed'))
+					.toEqual(['paused', 'resumed']);
+				
+				unsubscribe();
+			});
+	});
+	
+	test('resuming a group does not resume a stream that its owner has paused', () => {
+		const scheduler = createScheduler();
+		
+		scheduler.pauseGroup('numbers');
+		
+		//A stream that is registered in a paused group starts out paused
+		const testStream = createPausableStream(generateTestData(_.range(10)), 
+			{ scheduler: scheduler.register({ group: 'numbers' }) });
+		
+		expect(testStream.isPaused()).toBe(true);
+		
+		testStream.pause();
+		scheduler.resumeGroup('numbers');
+		
+		expect(testStream.isPaused()).toBe(true);
+		
+		testStream.resume();
+		
+		expect(testStream.isPaused()).toBe(false);
+	});
+	
+	test('invalid options throw an error', () => {
+		expect(() => createScheduler({ policy: 'random' })).toThrow();
+		expect(() => createScheduler({ concurrency: 0 })).toThrow();
+		expect(() => createScheduler({ yieldEvery: 0 })).toThrow();
+		expect(() => createScheduler({ rateLimit: { interval: -1 } })).toThrow();
+		
+		const scheduler = createScheduler();
+		
+		expect(() => scheduler.register({ priority: 'high' })).toThrow();
+		expect(() => scheduler.register({ group: 1 })).toThrow();
+	});
+	
+	describe('with a rate limit,', () => {
+		beforeEach(() => jest.useFakeTimers());
+		afterEach(() => jest.useRealTimers());
+		
+		test('the rate limit is shared by all the streams', () => {
+			const scheduler = createScheduler({ rateLimit: { interval: 100, burst: 2 } });
+			
+			const startedTasks = [];
+			
+			const scheduleTasks = [scheduler.register(), scheduler.register()];
+			
+			_.range(4).forEach(index => 
+				scheduleTasks[index % 2](() => startedTasks.push(index)));
+			
+			return flushMicrotasks()
+				.then(() => {
+					//Verify that only the burst has been run
+					expect(startedTasks).toEqual([0, 1]);
+					
+					jest.advanceTimersByTime(100);
+					
+					return flushMicrotasks();
+				})
+				.then(() => {
+					expect(startedTasks).toEqual([0, 1, 2]);
+					
+					jest.advanceTimersByTime(100);
+					
+					return flushMicrotasks();
+				})
+				.then(() => expect(startedTasks).toEqual([0, 1, 2, 3]));
+		});
+	});
+	
+	/**
+	 * Subscribes to a stream and collects the values that it emits
+	 *
+	 * @param {Object} stream - the stream to subscribe to
+	 * @param {Array.<*>} emittedValues - the array that the values are added to
+	 * @returns {Object} a promise that resolves when the stream has ended
+	 */
+	function collectValues(stream, emittedValues) {
+		return new Promise((resolve, reject) => {
+			stream.onError(error => reject(error));
+			stream.onValue(value => emittedValues.push(value));
+			stream.onEnd(() => resolve());
+		});
+	}
+	
+	/**
+	 * Creates a task that keeps running until it is finished
+	 *
+	 * @returns {Object} an object with the task to be run, a function that finishes the
+	 *	task, and whether the task has been started
+	 */
+	function createTestTask() {
+		const testTask = { started: false };
+		
+		const finished = new Promise(resolve => testTask.finish = resolve);
+		
+		testTask.run = () => {
+			testTask.started = true;
+			
+			return finished;
+		};
+		
+		return testTask;
+	}
+});
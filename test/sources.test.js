@@ -0,0 +1,288 @@
+const Bacon = require('baconjs');
+const _ = require('lodash');
+const { collectEvents } = require('./helpers/testStreams');
+
+describe('testing the creation of pausable streams from other sources,', () => {
+	jest.resetModules();
+	
+	const createPausableStream = require('../src/index');
+	const { fromIterable, range, repeat, fromPullFunction, fromCallbackPullFunction } = 
+		createPausableStream;
+	
+	test('a stream created from an array emits the values in the array', () => {
+		return collectEvents(fromIterable(_.range(10)))
+			.then(actualEvents => expect(actualEvents).toEqual(_.range(10)));
+	});
+	
+	test('a stream created from a Map or a Set emits their entries', () => {
+		const testMap = new Map([['a', 1], ['b', 2]]);
+		const testSet = new Set(['a', 'b', 'a']);
+		
+		return Promise.all([collectEvents(fromIterable(testMap)), 
+			collectEvents(fromIterable(testSet))])
+			.then(([mapEvents, setEvents]) => {
+				expect(mapEvents).toEqual([['a', 1], ['b', 2]]);
+				expect(setEvents).toEqual(['a', 'b']);
+			});
+	});
+	
+	test('a stream created from an iterable does not emit the return value', () => {
+		const iterable = {
+			[Symbol.iterator]: function* () {
+				yield 1;
+				yield 2;
+				
+				return 'returned';
+			}
+		};
+		
+		return collectEvents(fromIterable(iterable))
+			.then(actualEvents => expect(actualEvents).toEqual([1, 2]));
+	});
+	
+	test('a stream created from an async iterable emits its values', () => {
+		return collectEvents(fromIterable(createAsyncIterable(_.range(5))))
+			.then(actualEvents => expect(actualEvents).toEqual(_.range(5)));
+	});
+	
+	test('a stream created from an iterable can be paused and resumed', () => {
+		return new Promise((resolve, reject) => {
+			const testStream = fromIterable(_.range(20));
+			
+			const actualData = [];
+			
+			expect.assertions(2);
+			
+			testStream.onError(error => reject(error));
+			testStream.onValue(data => {
+				actualData.push(data);
+				
+				//Pause the stream after the fifth value and verify that nothing else is
+				//emitted before the stream is resumed
+				if(data === 4) {
+					testStream.pause();
+					
+					setTimeout(() => {
+						expect(actualData).toEqual(_.range(5));
+						
+						testStream.resume();
+					}, 10);
+				}
+			});
+			testStream.onEnd(() => {
+				expect(actualData).toEqual(_.range(20));
+				
+				resolve();
+			});
+		});
+	});
+	
+	test('stopping a stream created from an iterable closes the iterator', () => {
+		const returnFn = jest.fn(() => ({ done: true }));
+		
+		const iterable = {
+			[Symbol.iterator]: () => ({ 
+				next: () => ({ value: 1, done: false }),
+				return: returnFn
+			})
+		};
+		
+		const testStream = fromIterable(iterable, { initiallyPaused: true });
+		
+		testStream.stop();
+		
+		expect(returnFn).toHaveBeenCalledTimes(1);
+		expect(testStream.isEnded()).toBe(true);
+	});
+	
+	test('a value that is not iterable throws an error', () => {
+		expect(() => fromIterable(null)).toThrow();
+		expect(() => fromIterable(42)).toThrow();
+		expect(() => fromIterable({})).toThrow();
+	});
+	
+	test('a range emits the numbers up to but not including the end', () => {
+		return Promise.all([
+			collectEvents(range(0, 5)),
+			collectEvents(range(1, 10, 3)),
+			collectEvents(range(5, 0, -2)),
+			collectEvents(range(0, 5, -1))
+		])
+		.then(actualEvents => expect(actualEvents).toEqual([
+			[0, 1, 2, 3, 4],
+			[1, 4, 7],
+			[5, 3, 1],
+			[]
+		]));
+	});
+	
+	test('a range with a fractional step does not accumulate rounding errors', () => {
+		return collectEvents(range(0, 1, 0.1))
+			.then(actualEvents => {
+				expect(actualEvents.length).toBe(10);
+				expect(actualEvents[9]).toBeCloseTo(0.9, 10);
+			});
+	});
+	
+	test('a range with an infinite end keeps emitting numbers', () => {
+		return collectEvents(range(0, Infinity).take(5))
+			.then(actualEvents => expect(actualEvents).toEqual(_.range(5)));
+	});
+	
+	test('a range with invalid arguments throws an error', () => {
+		expect(() => range('0', 5)).toThrow();
+		expect(() => range(0, NaN)).toThrow();
+		expect(() => range(0, 5, 0)).toThrow();
+		expect(() => range(Infinity, 5)).toThrow();
+	});
+	
+	test('a repeated value is emitted the given number of times', () => {
+		return Promise.all([
+			collectEvents(repeat('a', 3)),
+			collectEvents(repeat('a', 0)),
+			collectEvents(repeat('a').take(4))
+		])
+		.then(actualEvents => expect(actualEvents).toEqual([
+			['a', 'a', 'a'],
+			[],
+			['a', 'a', 'a', 'a']
+		]));
+	});
+	
+	test('an invalid number of repetitions throws an error', () => {
+		expect(() => repeat('a', -1)).toThrow();
+		expect(() => repeat('a', 1.5)).toThrow();
+	});
+	
+	test('a pull function can return values and promises', () => {
+		let pullCount = 0;
+		
+		const pull = () => {
+			pullCount = pullCount + 1;
+			
+			if(pullCount > 4) {
+				return new Bacon.End();
+			}
+			
+			return pullCount % 2 === 0 ? Promise.resolve(pullCount) : pullCount;
+		};
+		
+		return collectEvents(fromPullFunction(pull))
+			.then(actualEvents => expect(actualEvents).toEqual([1, 2, 3, 4]));
+	});
+	
+	test('a pull function with a second parameter returns promises', () => {
+		const pages = [[1, 2], [3, 4], [5]];
+		const pageSizes = [];
+		
+		//The stream doesn't pass a page size, so the API's own page size is used
+		const fetchPage = (cursor, pageSize) => {
+			pageSizes.push(pageSize);
+			
+			const pageIndex = cursor === undefined ? 0 : cursor;
+			
+			return Promise.resolve(pageIndex < pages.length ? 
+				{ items: pages[pageIndex], next: pageIndex + 1 } : 
+				new Bacon.End());
+		};
+		
+		const pageStream = fromPullFunction(fetchPage, { nextInput: page => page.next });
+		
+		return collectEvents(pageStream.map(page => page.items))
+			.then(actualEvents => {
+				expect(actualEvents).toEqual(pages);
+				expect(pageSizes).toEqual([undefined, undefined, undefined, undefined]);
+			});
+	});
+	
+	test('a callback pull function provides values using a callback', () => {
+		const reader = createTestReader(_.range(5));
+		
+		return collectEvents(fromCallbackPullFunction((input, callback) => 
+			reader.read(callback)))
+			.then(actualEvents => expect(actualEvents).toEqual(_.range(5)));
+	});
+	
+	test('an error passed to the callback is emitted', () => {
+		//The timer returned by setTimeout() is not mistaken for a value
+		const pull = (input, callback) => setTimeout(() => callback(new Error('failed')), 0);
+		
+		return collectEvents(fromCallbackPullFunction(pull))
+			.then(actualEvents => expect(actualEvents).toEqual(['failed']));
+	});
+	
+	test('a pull function receives the cursor returned by the nextInput option', () => {
+		const pages = {
+			first: { items: [1, 2], next: 'second' },
+			second: { items: [3], next: null }
+		};
+		
+		const cursors = [];
+		
+		const fetchPage = cursor => {
+			cursors.push(cursor);
+			
+			return cursor === null ? 
+				new Bacon.End() : 
+				Promise.resolve(pages[cursor === undefined ? 'first' : cursor]);
+		};
+		
+		const pageStream = fromPullFunction(fetchPage, { nextInput: page => page.next });
+		
+		return collectEvents(pageStream.map(page => page.items))
+			.then(actualEvents => {
+				expect(actualEvents).toEqual([[1, 2], [3]]);
+				expect(cursors).toEqual([undefined, 'second', null]);
+			});
+	});
+	
+	test('a pull function that is not a function throws an error', () => {
+		expect(() => fromPullFunction(null)).toThrow();
+		expect(() => fromCallbackPullFunction(null)).toThrow();
+	});
+	
+	/**
+	 * Creates an async iterable that emits test data
+	 *
+	 * @param {Array.<*>} testData - an array of test data to be emitted
+	 * @returns {Object} the async iterable
+	 */
+	function createAsyncIterable(testData) {
+		return {
+			[Symbol.asyncIterator]: () => {
+				let index = 0;
+				
+				return {
+					next: () => {
+						index = index + 1;
+						
+						return Promise.resolve(index <= testData.length ? 
+							{ value: testData[index - 1], done: false } : 
+							{ value: undefined, done: true });
+					}
+				};
+			}
+		};
+	}
+	
+	/**
+	 * Creates a reader with a callback-based read() function, which passes the 
+	 * test data to the callback one value at a time, followed by Bacon.End
+	 *
+	 * @param {Array.<*>} testData - an array of test data to be read
+	 * @returns {Object} the reader
+	 */
+	function createTestReader(testData) {
+		let index = 0;
+		
+		return {
+			read: callback => {
+				setTimeout(() => {
+					index = index + 1;
+					
+					callback(null, index <= testData.length ? testData[index - 1] : new Bacon.End());
+				}, 0);
+			}
+		};
+	}
+});
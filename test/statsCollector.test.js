@@ -0,0 +1,113 @@
+const _ = require('lodash');
+
+describe('testing the stats collector,', () => {
+	jest.resetModules();
+	
+	const createStatsCollector = require('../src/statsCollector');
+	
+	test('the stats start out empty', () => {
+		const statsCollector = createStatsCollector(createTestClock().now);
+		
+		expect(statsCollector.getStats()).toEqual({
+			itemsEmitted: 0,
+			timePaused: 0,
+			currentPausedTime: 0,
+			pauseCycles: 0,
+			averageNextDuration: 0,
+			p95NextDuration: 0,
+			itemsPerSecond: 0
+		});
+	});
+	
+	test('the time spent paused is measured', () => {
+		const clock = createTestClock();
+		const statsCollector = createStatsCollector(clock.now);
+		
+		//Pause twice, remaining paused the second time
+		clock.advance(100);
+		statsCollector.paused();
+		clock.advance(200);
+		statsCollector.resumed();
+		clock.advance(100);
+		statsCollector.paused();
+		clock.advance(50);
+		
+		expect(statsCollector.getStats()).toMatchObject({
+			timePaused: 250,
+			currentPausedTime: 50,
+			pauseCycles: 2
+		});
+	});
+	
+	test('items per second are measured over the time spent unpaused', () => {
+		const clock = createTestClock();
+		const statsCollector = createStatsCollector(clock.now);
+		
+		_.times(10, () => statsCollector.itemEmitted());
+		
+		clock.advance(1000);
+		statsCollector.paused();
+		clock.advance(3000);
+		statsCollector.resumed();
+		clock.advance(1000);
+		
+		expect(statsCollector.getStats()).toMatchObject({
+			itemsEmitted: 10,
+			itemsPerSecond: 5
+		});
+	});
+	
+	test('the durations of the generator calls are measured', () => {
+		const clock = createTestClock();
+		const statsCollector = createStatsCollector(clock.now);
+		
+		//Make 20 calls that take 1ms to 20ms
+		_.range(1, 21).forEach(duration => {
+			const callCompleted = statsCollector.timeCall();
+			
+			clock.advance(duration);
+			
+			callCompleted();
+		});
+		
+		expect(statsCollector.getStats()).toMatchObject({
+			averageNextDuration: 10.5,
+			p95NextDuration: 19
+		});
+	});
+	
+	test('the clock stops when the stream ends', () => {
+		const clock = createTestClock();
+		const statsCollector = createStatsCollector(clock.now);
+		
+		statsCollector.itemEmitted();
+		statsCollector.paused();
+		clock.advance(500);
+		statsCollector.ended();
+		clock.advance(500);
+		
+		expect(statsCollector.getStats()).toMatchObject({
+			timePaused: 500,
+			currentPausedTime: 500
+		});
+	});
+	
+	test('an invalid clock throws an error', () => {
+		expect(() => createStatsCollector('now')).toThrow();
+	});
+	
+	/**
+	 * Creates a clock that only moves forward when it is advanced
+	 *
+	 * @returns {Object} an object with a now() function that gets the current time and
+	 *	an advance(milliseconds) function that moves the clock forward
+	 */
+	function createTestClock() {
+		let time = 0;
+		
+		return {
+			now: () => time,
+			advance: milliseconds => time = time + milliseconds
+		};
+	}
+});
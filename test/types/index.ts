@@ -0,0 +1,121 @@
+//A type-check fixture for the type definitions, which is compiled by the typecheck
+//script without being run
+import createPausableStream = require('bacon-pausable-stream');
+import { End, EventStream, mergeAll, once } from 'baconjs';
+
+const {
+	mergePausable,
+	createMemoryCheckpointStore,
+	resumeFromCheckpoint,
+	createScheduler,
+	fromIterable,
+	range,
+	repeat,
+	fromPullFunction,
+	fromCallbackPullFunction,
+	recordStream,
+	replayRecording,
+	createVirtualClock
+} = createPausableStream;
+
+function* generateNumbers(): Generator<number, End, string | undefined> {
+	for(let number = 0; number < 10; number++) {
+		const hint: string | undefined = yield number;
+	}
+	
+	return new End();
+}
+
+//Creating a pausable stream
+const numberStream = createPausableStream(generateNumbers(), { prefetch: 2, stats: true });
+
+numberStream.pause({ for: 100 });
+once(true).onValue(numberStream.pause);
+numberStream.resume();
+numberStream.send('hint');
+numberStream.onValue(value => value.toFixed());
+numberStream.lifecycle.onValue(lifecycleEvent => lifecycleEvent.type);
+
+const itemsEmitted: number = numberStream.stats().itemsEmitted;
+const paused: boolean = numberStream.isPaused();
+
+numberStream.subscribeWithVote(event => undefined).pause();
+numberStream.consume(value => value * 2).then(() => undefined);
+
+//@ts-expect-error The values are numbers
+numberStream.onValue(value => { const text: string = value; });
+
+//The batchSize option emits arrays of values
+createPausableStream(generateNumbers(), { batchSize: 3 })
+	.onValue(values => { const batch: number[] = values; });
+
+//A synchronous generator that yields promises emits the promises themselves
+function* generatePromises(): Generator<Promise<number>> {
+	yield Promise.resolve(1);
+}
+
+//@ts-expect-error The promises are not resolved
+const resolvedStream = createPausableStream<number>(generatePromises());
+
+//Pause-aware operators keep the pause controls
+numberStream.map(value => String(value)).pause();
+numberStream.filter(value => value > 2).map(value => value * 2).take(2).resume();
+numberStream.flatMap(value => [value]).flatMapLatest(() => range(0, 3)).isPaused();
+numberStream.bufferWithCount(2).map(values => values.length).pause();
+numberStream.scan(0, (sum, value) => sum + value).map(sum => sum * 2).pause();
+numberStream.scan('', (text, value) => text + value).toEventStream().pause();
+numberStream.withStateMachine(0, (state, event) => [state, [event]]).pause();
+
+const textStream: createPausableStream.PauseAwareEventStream<string> =
+	numberStream.map(value => String(value));
+
+//A pausable stream is still a Bacon stream
+const baconStream: EventStream<number> = numberStream.map(value => value + 1);
+
+mergeAll(numberStream, numberStream.skip(1)).onValue(value => value.toFixed());
+
+//Combining pausable streams
+mergePausable([numberStream, numberStream]).pausedProperty.onValue(value => value);
+
+//Checkpoints
+resumeFromCheckpoint(checkpoint => generateNumbers(), {
+	checkpoint: { store: createMemoryCheckpointStore(), key: 'numbers' }
+}).then(resumedStream => resumedStream.pause());
+
+//Scheduling
+const scheduler = createScheduler({ policy: 'priority', concurrency: 4 });
+
+createPausableStream(generateNumbers(),
+	{ scheduler: scheduler.register({ priority: 10, group: 'numbers' }) });
+
+scheduler.pauseGroup('numbers');
+
+//Other sources
+interface Page {
+	items: number[];
+	next: string | null;
+}
+
+declare function fetchPage(cursor: string | undefined, pageSize?: number): Promise<Page>;
+declare function readLine(callback: (error: any, line?: string) => void): void;
+
+fromIterable(new Set(['a', 'b'])).onValue(value => value.toUpperCase());
+range(0, 10, 2).onValue(value => value.toFixed());
+repeat('tick', 3).pause();
+
+fromPullFunction<Page, string | null>(
+	cursor => cursor === null ? new End() : fetchPage(cursor, 20),
+	{ nextInput: page => page.next }
+).map(page => page.items).pause();
+
+fromCallbackPullFunction<string>((input, callback) => readLine(callback))
+	.onValue(line => line.length);
+
+//Recording and replaying
+const clock = createVirtualClock();
+const recording = recordStream(range(0, 10), { clock });
+
+recording.finished.then(() => replayRecording<number>(recording.toNDJSON(),
+	{ timing: 'original', clock, replayPauses: true }).onValue(value => value.toFixed()));
+
+clock.advance(100).then(() => undefined);